@@ -0,0 +1,58 @@
+/**
+ * Accessibility Module
+ * Helpers for content that is only meant for assistive technology
+ */
+
+/**
+ * Hide an element visually while keeping it available to screen readers
+ *
+ * @param {HTMLElement} element - Element to hide
+ * @returns {HTMLElement} The same element
+ */
+export function hideVisually(element) {
+    element.style.position = 'absolute';
+    element.style.width = '1px';
+    element.style.height = '1px';
+    element.style.margin = '-1px';
+    element.style.padding = '0';
+    element.style.border = '0';
+    element.style.overflow = 'hidden';
+    element.style.clip = 'rect(0 0 0 0)';
+    element.style.whiteSpace = 'nowrap';
+    return element;
+}
+
+/**
+ * Create a visually hidden live region with a debounced announce function
+ * Repeating the last announcement is skipped, so redraws that change nothing stay quiet
+ *
+ * @param {number} [delay=0] - Milliseconds to wait for further changes before announcing
+ * @returns {{element: HTMLElement, announce: Function, cancel: Function}} Region element and controls
+ */
+export function createLiveRegion(delay = 0) {
+    const element = hideVisually(document.createElement('div'));
+    element.setAttribute('role', 'status');
+    element.setAttribute('aria-live', 'polite');
+    element.setAttribute('aria-atomic', 'true');
+
+    let timeout = null;
+
+    function cancel() {
+        if (timeout) {
+            clearTimeout(timeout);
+            timeout = null;
+        }
+    }
+
+    function announce(message) {
+        cancel();
+        timeout = setTimeout(() => {
+            timeout = null;
+            if (element.textContent !== message) {
+                element.textContent = message;
+            }
+        }, delay);
+    }
+
+    return { element, announce, cancel };
+}
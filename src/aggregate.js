@@ -0,0 +1,149 @@
+/**
+ * Aggregate Module
+ * Combining several forecasts of the same time bins into one distribution
+ *
+ * Each method takes non-negative arrays of the same shape, normalizes them to
+ * probability distributions and returns a probability distribution. Weights
+ * are relative (they are rescaled to sum to 1) and default to equal weights.
+ */
+
+import { cumulative, normalizeDistribution } from './normalization.js';
+
+/**
+ * Validate the distributions and weights, and return normalized copies of both
+ */
+function prepare(distributions, weights) {
+    if (!Array.isArray(distributions) || distributions.length === 0) {
+        throw new Error('At least one distribution is required');
+    }
+    const length = distributions[0].length;
+    if (length === 0) {
+        throw new Error('Distributions must have at least one entry');
+    }
+    if (distributions.some(distribution => distribution.length !== length)) {
+        throw new Error('Distributions must have the same shape');
+    }
+    if (distributions.some(distribution => distribution.some(v => !Number.isFinite(v) || v < 0))) {
+        throw new Error('Distributions must be finite and non-negative');
+    }
+
+    const rawWeights = weights || distributions.map(() => 1);
+    if (rawWeights.length !== distributions.length) {
+        throw new Error('There must be one weight per distribution');
+    }
+    if (rawWeights.some(w => !Number.isFinite(w) || w < 0)) {
+        throw new Error('Weights must be finite and non-negative');
+    }
+    const totalWeight = rawWeights.reduce((sum, w) => sum + w, 0);
+    if (totalWeight <= 0) {
+        throw new Error('At least one weight must be positive');
+    }
+
+    return {
+        probabilities: distributions.map(normalizeDistribution),
+        weights: rawWeights.map(w => w / totalWeight)
+    };
+}
+
+/**
+ * Linear opinion pool: the weighted mean of the probabilities in each bin
+ *
+ * @param {Array<Array<number>>} distributions - Distributions to combine
+ * @param {Array<number>} [weights] - One weight per distribution
+ * @returns {Array<number>} Pooled probability distribution
+ */
+export function linearPool(distributions, weights) {
+    const { probabilities, weights: w } = prepare(distributions, weights);
+    return probabilities[0].map((_, bin) => probabilities.reduce((sum, p, i) => sum + w[i] * p[bin], 0));
+}
+
+/**
+ * Geometric (logarithmic) pool: the weighted geometric mean of the
+ * probabilities in each bin, renormalized
+ * A bin that any positively weighted distribution rules out gets no mass
+ *
+ * @param {Array<Array<number>>} distributions - Distributions to combine
+ * @param {Array<number>} [weights] - One weight per distribution
+ * @returns {Array<number>} Pooled probability distribution
+ */
+export function geometricPool(distributions, weights) {
+    const { probabilities, weights: w } = prepare(distributions, weights);
+    const logs = probabilities[0].map((_, bin) => probabilities.reduce((sum, p, i) => (
+        w[i] === 0 ? sum : sum + w[i] * Math.log(p[bin])
+    ), 0));
+
+    // Shift by the largest log so the exponentials do not underflow
+    const maxLog = Math.max(...logs);
+    if (maxLog === -Infinity) {
+        throw new Error('Distributions have no bins in common');
+    }
+    return normalizeDistribution(logs.map(log => Math.exp(log - maxLog)));
+}
+
+/**
+ * Weighted median of values: the smallest value with at least half the weight at or below it
+ */
+function weightedMedian(values, weights) {
+    const order = values.map((value, i) => i).sort((a, b) => values[a] - values[b]);
+    let total = 0;
+    for (const i of order) {
+        total += weights[i];
+        // Tolerance, so equal weights split exactly in half pick the lower value
+        if (total >= 0.5 - 1e-12) return values[i];
+    }
+    return values[order[order.length - 1]];
+}
+
+/**
+ * Median of CDFs: the weighted median of the cumulative probabilities at each
+ * bin, turned back into probabilities
+ * Less sensitive to a single outlying forecast than the pools
+ *
+ * @param {Array<Array<number>>} distributions - Distributions to combine
+ * @param {Array<number>} [weights] - One weight per distribution
+ * @returns {Array<number>} Combined probability distribution
+ */
+export function medianOfCdfs(distributions, weights) {
+    const { probabilities, weights: w } = prepare(distributions, weights);
+    const cdfs = probabilities.map(cumulative);
+
+    // The median of non-decreasing functions is non-decreasing, so the differences are not negative
+    const medianCdf = cdfs[0].map((_, bin) => weightedMedian(cdfs.map(cdf => cdf[bin]), w));
+    medianCdf[medianCdf.length - 1] = 1;
+    return normalizeDistribution(medianCdf.map((value, bin) => Math.max(0, value - (bin > 0 ? medianCdf[bin - 1] : 0))));
+}
+
+/**
+ * Available aggregation methods, keyed by id, with a display label and an
+ * aggregate(distributions, weights) function
+ */
+export const AGGREGATION_METHODS = {
+    linear: {
+        label: 'Linear Pool',
+        aggregate: linearPool
+    },
+    geometric: {
+        label: 'Geometric Pool',
+        aggregate: geometricPool
+    },
+    median: {
+        label: 'Median of CDFs',
+        aggregate: medianOfCdfs
+    }
+};
+
+/**
+ * Combine distributions with the given method
+ *
+ * @param {string} methodId - Key into AGGREGATION_METHODS
+ * @param {Array<Array<number>>} distributions - Distributions to combine
+ * @param {Array<number>} [weights] - One weight per distribution (equal by default)
+ * @returns {Array<number>} Combined probability distribution
+ */
+export function aggregateDistributions(methodId, distributions, weights) {
+    const method = AGGREGATION_METHODS[methodId];
+    if (!method) {
+        throw new Error(`Unknown aggregation method: ${methodId}`);
+    }
+    return method.aggregate(distributions, weights);
+}
@@ -1,17 +1,27 @@
 /**
  * AI 2027 - Calculator Widget
- * KL Divergence Calculator - shows all distributions' KL divergence against the Drawing distribution
+ * Divergence Calculator - shows all distributions' scores against a ground truth distribution
+ * (the Drawing distribution by default) under a selectable scoring rule (KL divergence by default), or a pairwise matrix of
+ * scores between all visible distributions
  */
 
-import { calculateKLDivergence } from './KL-divergence.js';
+import { SCORING_DIRECTIONS, SCORING_RULES, scoreDistributions } from './scoring.js';
+import { createLiveRegion } from './accessibility.js';
 
 /**
- * Creates a KL Divergence Calculator widget that shows all distributions' scores against the Drawing distribution
+ * Creates a Divergence Calculator widget that shows all distributions' scores against a ground truth distribution
  * @param {string} containerId - The ID of the HTML element to insert the widget into
  * @param {Object} options - Widget configuration options
- * @param {Array<Object>} options.distributions - Array of distribution objects with color, mass, and values
+ * @param {Array<Object>} options.distributions - Array of distribution objects with id, name, color and values
+ *   (and readOnly for reference series, with derived for the aggregate)
  * @param {number} options.activeDistributionIndex - Index of the active (Drawing) distribution to use as ground truth
  * @param {Object} options.visibilityState - Object mapping distribution indices to visibility booleans
+ * @param {string} [options.metric='kl'] - Scoring rule id (kl, js, hellinger, tv, wasserstein, crps)
+ * @param {number} [options.binsPerYear=4] - Bins per year of the time axis, used to report ordered rules in years
+ * @param {string} [options.view='list'] - 'list' to score against the Drawing distribution, 'matrix' for all pairs
+ * @param {string|null} [options.referenceId=null] - Series id to use as ground truth, or null to follow the Drawing distribution
+ * @param {string} [options.direction='forward'] - 'forward' D(truth || prediction), 'reverse' or 'symmetric' (mean of both)
+ * @param {string} [options.units='nats'] - 'nats' or 'bits' for KL and Jensen–Shannon divergence
  */
 export function createCalculatorWidget(containerId, options) {
     const container = document.getElementById(containerId);
@@ -20,6 +30,28 @@ export function createCalculatorWidget(containerId, options) {
         return;
     }
 
+    // Default to KL divergence
+    let metric = SCORING_RULES[options.metric] ? options.metric : 'kl';
+
+    // Available result views
+    const VIEWS = {
+        list: 'Against Ground Truth',
+        matrix: 'Pairwise Matrix'
+    };
+    let view = VIEWS[options.view] ? options.view : 'list';
+
+    // Ground truth series id (null follows the Drawing distribution)
+    let referenceId = options.referenceId || null;
+
+    // Direction and units for asymmetric and informational rules
+    const DIRECTION_LABELS = {
+        forward: 'Forward: D(truth \u2016 prediction)',
+        reverse: 'Reverse: D(prediction \u2016 truth)',
+        symmetric: 'Symmetrized (mean of both)'
+    };
+    let direction = SCORING_DIRECTIONS.includes(options.direction) ? options.direction : 'forward';
+    let units = options.units === 'bits' ? 'bits' : 'nats';
+
     // Create main container
     const mainContainer = document.createElement('div');
     mainContainer.style.width = '100%';
@@ -45,36 +77,96 @@ export function createCalculatorWidget(containerId, options) {
     
     // Add title for the selection box
     const selectionTitle = document.createElement('div');
-    selectionTitle.textContent = 'Kullback\u2013Leibler Divergence';
     selectionTitle.style.fontWeight = 'bold';
     selectionTitle.style.fontSize = '16px';
     selectionTitle.style.color = '#2c3e50';
     selectionTitle.style.marginBottom = '15px';
     selectionTitle.style.textAlign = 'center';
     
-    // Create ground truth display container (no longer a selection)
-    const truthContainer = document.createElement('div');
-    truthContainer.style.display = 'flex';
-    truthContainer.style.justifyContent = 'center';
-    truthContainer.style.alignItems = 'center';
-    truthContainer.style.gap = '12px';
+    /**
+     * Create a labeled dropdown row
+     * @param {string} labelText - Text of the label
+     * @param {Array<[string, string]>} entries - Option [value, text] pairs
+     * @returns {{row: HTMLElement, select: HTMLSelectElement}}
+     */
+    function createLabeledSelect(labelText, entries) {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.justifyContent = 'center';
+        row.style.alignItems = 'center';
+        row.style.gap = '12px';
+
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        label.style.fontWeight = 'bold';
+        label.style.color = '#2c3e50';
+        label.style.fontSize = '14px';
+
+        const select = document.createElement('select');
+        select.style.padding = '4px 8px';
+        select.style.border = '1px solid #ccc';
+        select.style.borderRadius = '4px';
+        select.style.fontSize = '14px';
+        entries.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+
+        row.appendChild(label);
+        row.appendChild(select);
+        return { row, select };
+    }
+
+    // Create scoring rule selection
+    const { row: metricContainer, select: metricSelect } = createLabeledSelect(
+        'Metric:', Object.entries(SCORING_RULES).map(([id, rule]) => [id, rule.label])
+    );
+    metricSelect.value = metric;
+    metricSelect.addEventListener('change', () => {
+        setMetric(metricSelect.value);
+    });
+
+    // Create ground truth selection (options are filled in from the distributions)
+    const { row: truthContainer, select: truthSelect } = createLabeledSelect('Ground Truth:', []);
     truthContainer.style.marginBottom = '15px';
-    
-    const truthLabel = document.createElement('label');
-    truthLabel.textContent = 'Ground Truth:';
-    truthLabel.style.fontWeight = 'bold';
-    truthLabel.style.color = '#2c3e50';
-    truthLabel.style.fontSize = '14px';
-    
-    const truthDisplay = document.createElement('span');
-    truthDisplay.style.fontSize = '14px';
-    truthDisplay.style.fontWeight = 'bold';
-    truthDisplay.style.color = '#2c3e50';
-    
-    truthContainer.appendChild(truthLabel);
-    truthContainer.appendChild(truthDisplay);
+    truthSelect.addEventListener('change', () => {
+        setReferenceId(truthSelect.value || null);
+    });
+
+    // Create direction selection
+    const { row: directionContainer, select: directionSelect } = createLabeledSelect(
+        'Direction:', Object.entries(DIRECTION_LABELS)
+    );
+    directionSelect.value = direction;
+    directionSelect.addEventListener('change', () => {
+        setDirection(directionSelect.value);
+    });
+
+    // Create units selection
+    const { row: unitsContainer, select: unitsSelect } = createLabeledSelect(
+        'Units:', [['nats', 'Nats'], ['bits', 'Bits']]
+    );
+    unitsSelect.value = units;
+    unitsSelect.addEventListener('change', () => {
+        setUnits(unitsSelect.value);
+    });
+
+    // Create view selection
+    const { row: viewContainer, select: viewSelect } = createLabeledSelect(
+        'View:', Object.entries(VIEWS)
+    );
+    viewSelect.value = view;
+    viewSelect.addEventListener('change', () => {
+        setView(viewSelect.value);
+    });
     
     selectionControls.appendChild(selectionTitle);
+    selectionControls.appendChild(metricContainer);
+    selectionControls.appendChild(directionContainer);
+    selectionControls.appendChild(unitsContainer);
+    selectionControls.appendChild(viewContainer);
     selectionControls.appendChild(truthContainer);
 
     // Create results section inside the selection controls box
@@ -88,90 +180,213 @@ export function createCalculatorWidget(containerId, options) {
     resultsSection.style.display = 'none';
     resultsSection.style.width = '100%';
 
+    // Announce score changes to screen readers once drawing settles
+    const liveRegion = createLiveRegion(1000);
+
     controlsSection.appendChild(selectionControls);
     selectionControls.appendChild(resultsSection);
     mainContainer.appendChild(controlsSection);
+    mainContainer.appendChild(liveRegion.element);
 
     /**
-     * Update the ground truth display
+     * Index of the ground truth distribution: the selected reference, or the Drawing distribution
      */
-    function updateGroundTruthDisplay() {
-        if (!options.distributions || options.distributions.length === 0) {
-            truthDisplay.textContent = 'None';
-            return;
+    function getReferenceIndex() {
+        if (!options.distributions) return -1;
+        if (referenceId !== null) {
+            const index = options.distributions.findIndex(dist => dist.id === referenceId);
+            if (index >= 0) return index;
         }
+        return options.activeDistributionIndex || 0;
+    }
 
+    /**
+     * Update the ground truth selection
+     */
+    function updateGroundTruthDisplay() {
+        truthSelect.innerHTML = '';
+        const distributions = options.distributions || [];
         const activeIndex = options.activeDistributionIndex || 0;
-        if (activeIndex >= 0 && activeIndex < options.distributions.length) {
-            const activeDistribution = options.distributions[activeIndex];
-            truthDisplay.textContent = activeDistribution.color.charAt(0).toUpperCase() + activeDistribution.color.slice(1);
-        } else {
-            truthDisplay.textContent = 'None';
-        }
+
+        // First option follows the Drawing distribution
+        const followOption = document.createElement('option');
+        followOption.value = '';
+        followOption.textContent = activeIndex >= 0 && activeIndex < distributions.length
+            ? `Drawing (${distributions[activeIndex].name})`
+            : 'Drawing';
+        truthSelect.appendChild(followOption);
+
+        distributions.forEach(distribution => {
+            const option = document.createElement('option');
+            option.value = distribution.id;
+            // Read-only reference series (e.g. published forecasts) are labelled as such
+            option.textContent = distribution.readOnly && !distribution.derived
+                ? `${distribution.name} (reference)`
+                : distribution.name;
+            truthSelect.appendChild(option);
+        });
+
+        truthSelect.value = referenceId !== null && distributions.some(dist => dist.id === referenceId)
+            ? referenceId
+            : '';
+    }
+
+    /**
+     * Show the direction and units controls only for rules they apply to
+     */
+    function updateRuleControls() {
+        const rule = SCORING_RULES[metric];
+        directionContainer.style.display = rule.symmetric ? 'none' : 'flex';
+        unitsContainer.style.display = rule.informational ? 'flex' : 'none';
     }
 
     /**
-     * Format KL divergence for display
+     * Update the title to name the selected scoring rule
      */
-    function formatKLDivergence(score) {
+    function updateTitle() {
+        const rule = SCORING_RULES[metric];
+        const unit = rule.informational ? units : rule.unit;
+        selectionTitle.textContent = unit ? `${rule.label} (${unit})` : rule.label;
+    }
+
+    /**
+     * Format a score for display
+     */
+    function formatScore(score) {
         if (!Number.isFinite(score)) {
             return '∞';
         }
-        return score.toFixed(2);
+        return score.toFixed(SCORING_RULES[metric].decimals);
+    }
+
+    /**
+     * Switch the scoring rule
+     */
+    function setMetric(newMetric) {
+        if (!SCORING_RULES[newMetric]) return;
+        metric = newMetric;
+        metricSelect.value = metric;
+        updateTitle();
+        updateRuleControls();
+        updateResults();
     }
 
     /**
-     * Update KL divergence results for all distributions
+     * Select the ground truth series (null follows the Drawing distribution)
+     */
+    function setReferenceId(newReferenceId) {
+        referenceId = newReferenceId;
+        updateGroundTruthDisplay();
+        updateResults();
+    }
+
+    /**
+     * Switch the direction of asymmetric rules
+     */
+    function setDirection(newDirection) {
+        if (!SCORING_DIRECTIONS.includes(newDirection)) return;
+        direction = newDirection;
+        directionSelect.value = direction;
+        updateResults();
+    }
+
+    /**
+     * Switch between nats and bits for informational rules
+     */
+    function setUnits(newUnits) {
+        if (newUnits !== 'nats' && newUnits !== 'bits') return;
+        units = newUnits;
+        unitsSelect.value = units;
+        updateTitle();
+        updateResults();
+    }
+
+    /**
+     * Switch between the list and matrix views
+     */
+    function setView(newView) {
+        if (!VIEWS[newView]) return;
+        view = newView;
+        viewSelect.value = view;
+        // The ground truth only applies to the list view
+        truthContainer.style.display = view === 'list' ? 'flex' : 'none';
+        updateResults();
+    }
+
+    /**
+     * Score a prediction against a ground truth distribution with the selected rule
+     */
+    function computeScore(prediction, truth) {
+        return scoreDistributions(metric, prediction.values, truth.values, {
+            binsPerYear: options.binsPerYear || 4,
+            direction,
+            units
+        });
+    }
+
+    /**
+     * Update the results in the selected view
      */
     function updateResults() {
-        const activeIndex = options.activeDistributionIndex || 0;
+        if (view === 'matrix') {
+            updateMatrixResults();
+        } else {
+            updateListResults();
+        }
+    }
+
+    /**
+     * Update scores for all distributions against the ground truth distribution
+     */
+    function updateListResults() {
+        const referenceIndex = getReferenceIndex();
 
         // Clear results section
         resultsSection.innerHTML = '';
 
         // Check if ground truth is available
-        if (activeIndex < 0 || !options.distributions || options.distributions.length === 0 || 
-            activeIndex >= options.distributions.length) {
+        if (referenceIndex < 0 || !options.distributions || options.distributions.length === 0 || 
+            referenceIndex >= options.distributions.length) {
             resultsSection.style.display = 'none';
             return;
         }
 
-        // Get selected ground truth (Drawing distribution)
-        const truth = options.distributions[activeIndex];
+        // Get selected ground truth (Drawing distribution unless another reference is chosen)
+        const truth = options.distributions[referenceIndex];
 
-        // Calculate KL divergence for all distributions except the ground truth
-        const klScores = options.distributions
+        // Calculate scores for all distributions except the ground truth
+        const scores = options.distributions
             .map((distribution, index) => {
-                const klDivergence = calculateKLDivergence(
-                    distribution.values, truth.values
-                );
+                const score = computeScore(distribution, truth);
                 return {
                     index,
                     distribution,
-                    klDivergence
+                    score
                 };
             })
             .filter(score => {
                 // Exclude the ground truth distribution
-                if (score.index === activeIndex) return false;
+                if (score.index === referenceIndex) return false;
                 // Only include distributions that are visible in the Interactive widget
                 return options.visibilityState && options.visibilityState[score.index] === true;
             });
 
-        // Sort by KL divergence (best scores first)
-        klScores.sort((a, b) => a.klDivergence - b.klDivergence);
+        // Sort by score (best scores first)
+        scores.sort((a, b) => a.score - b.score);
 
         // Show results section
         resultsSection.style.display = 'block';
         resultsSection.style.padding = '0px';
         
-        // Create results display
+        // Create results display (a table for assistive technology)
         const resultsContainer = document.createElement('div');
         resultsContainer.style.fontSize = '14px';
         resultsContainer.style.lineHeight = '1.6';
+        resultsContainer.setAttribute('role', 'table');
+        resultsContainer.setAttribute('aria-label', `${selectionTitle.textContent} against ${truth.name}`);
 
         // Create minimalistic display
-        klScores.forEach((score) => {
+        scores.forEach((score) => {
             const scoreRow = document.createElement('div');
             scoreRow.style.display = 'flex';
             scoreRow.style.justifyContent = 'center';
@@ -180,18 +395,21 @@ export function createCalculatorWidget(containerId, options) {
             scoreRow.style.fontFamily = 'monospace';
             scoreRow.style.fontSize = '13px';
             scoreRow.style.gap = '40px';
+            scoreRow.setAttribute('role', 'row');
 
             // Distribution name
             const nameDiv = document.createElement('span');
-            nameDiv.textContent = score.distribution.color.charAt(0).toUpperCase() + score.distribution.color.slice(1);
+            nameDiv.textContent = score.distribution.name;
             nameDiv.style.minWidth = '80px';
             nameDiv.style.textAlign = 'center';
+            nameDiv.setAttribute('role', 'rowheader');
 
-            // KL divergence score
+            // Score
             const scoreDiv = document.createElement('span');
-            scoreDiv.textContent = formatKLDivergence(score.klDivergence);
+            scoreDiv.textContent = formatScore(score.score);
             scoreDiv.style.minWidth = '60px';
             scoreDiv.style.textAlign = 'center';
+            scoreDiv.setAttribute('role', 'cell');
 
             scoreRow.appendChild(nameDiv);
             scoreRow.appendChild(scoreDiv);
@@ -199,18 +417,171 @@ export function createCalculatorWidget(containerId, options) {
         });
 
         resultsSection.appendChild(resultsContainer);
+
+        liveRegion.announce(scores.length > 0
+            ? `${selectionTitle.textContent} against ${truth.name}: `
+                + scores.map(score => `${score.distribution.name} ${formatScore(score.score)}`).join(', ')
+            : `No visible distributions to score against ${truth.name}`);
+    }
+
+    /**
+     * Heatmap background for a matrix cell, darker for larger scores
+     */
+    function heatmapColor(score, maxScore) {
+        let intensity = 1; // Infinite scores get the darkest shade
+        if (Number.isFinite(score)) {
+            intensity = maxScore > 0 ? score / maxScore : 0;
+        }
+        return `rgba(220, 53, 69, ${(0.05 + 0.55 * intensity).toFixed(3)})`;
+    }
+
+    /**
+     * Update the pairwise matrix of scores between all visible distributions
+     * Rows are the ground truth and columns the prediction, so the two KL directions
+     * of a pair sit on opposite sides of the diagonal
+     */
+    function updateMatrixResults() {
+        // Clear results section
+        resultsSection.innerHTML = '';
+
+        const visible = (options.distributions || [])
+            .filter((_, index) => options.visibilityState && options.visibilityState[index] === true);
+
+        if (visible.length === 0) {
+            resultsSection.style.display = 'none';
+            return;
+        }
+
+        // Score every ordered pair
+        const matrix = visible.map(truth => visible.map(prediction => (
+            prediction === truth ? 0 : computeScore(prediction, truth)
+        )));
+        const maxScore = Math.max(0, ...matrix.flat().filter(Number.isFinite));
+
+        // Show results section
+        resultsSection.style.display = 'block';
+        resultsSection.style.padding = '0px';
+
+        const table = document.createElement('table');
+        table.style.margin = '0 auto';
+        table.style.borderCollapse = 'collapse';
+        table.style.fontFamily = 'monospace';
+        table.style.fontSize = '13px';
+        table.setAttribute('aria-label', `Pairwise ${selectionTitle.textContent}`);
+
+        const caption = document.createElement('caption');
+        caption.textContent = 'Rows: ground truth \u2022 Columns: prediction';
+        caption.style.captionSide = 'bottom';
+        caption.style.paddingTop = '8px';
+        caption.style.fontSize = '12px';
+        caption.style.color = '#6c757d';
+        table.appendChild(caption);
+
+        // Header row with prediction names
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th'));
+        visible.forEach(distribution => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = distribution.name;
+            th.style.padding = '4px 8px';
+            th.style.color = distribution.color;
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        // One row per ground truth
+        visible.forEach((truth, row) => {
+            const tr = document.createElement('tr');
+
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = truth.name;
+            th.style.padding = '4px 8px';
+            th.style.textAlign = 'right';
+            th.style.color = truth.color;
+            tr.appendChild(th);
+
+            visible.forEach((prediction, column) => {
+                const td = document.createElement('td');
+                td.style.padding = '4px 8px';
+                td.style.textAlign = 'center';
+                td.style.border = '1px solid #dee2e6';
+                if (row === column) {
+                    td.textContent = '\u2014';
+                } else {
+                    const score = matrix[row][column];
+                    td.textContent = formatScore(score);
+                    td.style.backgroundColor = heatmapColor(score, maxScore);
+                    td.title = `${prediction.name} scored against ${truth.name}`;
+                }
+                tr.appendChild(td);
+            });
+
+            table.appendChild(tr);
+        });
+
+        resultsSection.appendChild(table);
+
+        // Announce every off-diagonal score
+        const pairs = [];
+        visible.forEach((truth, row) => visible.forEach((prediction, column) => {
+            if (row !== column) {
+                pairs.push(`${prediction.name} against ${truth.name} ${formatScore(matrix[row][column])}`);
+            }
+        }));
+        liveRegion.announce(pairs.length > 0
+            ? `Pairwise ${selectionTitle.textContent}: ${pairs.join(', ')}`
+            : `Pairwise ${selectionTitle.textContent}: show more distributions to compare`);
     }
 
     // Append to container
     container.appendChild(mainContainer);
 
     // Initialize display
+    updateTitle();
+    updateRuleControls();
     updateGroundTruthDisplay();
+    truthContainer.style.display = view === 'list' ? 'flex' : 'none';
     // Don't show results initially - wait for proper visibility state
     resultsSection.style.display = 'none';
 
+    /**
+     * Reconfigure the widget in place, with any of the creation options
+     * @param {Object} newOptions - Options to change
+     */
+    function update(newOptions = {}) {
+        ['distributions', 'activeDistributionIndex', 'visibilityState', 'binsPerYear'].forEach(key => {
+            if (newOptions[key] !== undefined) {
+                options[key] = newOptions[key];
+            }
+        });
+        if (newOptions.referenceId !== undefined) {
+            referenceId = newOptions.referenceId || null;
+        }
+        // Rule and view options go through their setters, which ignore invalid values
+        if (newOptions.metric !== undefined) setMetric(newOptions.metric);
+        if (newOptions.direction !== undefined) setDirection(newOptions.direction);
+        if (newOptions.units !== undefined) setUnits(newOptions.units);
+        if (newOptions.view !== undefined) setView(newOptions.view);
+        updateGroundTruthDisplay();
+        updateResults();
+    }
+
+    /**
+     * Remove the widget from its container and stop pending announcements
+     */
+    function destroy() {
+        liveRegion.cancel();
+        if (mainContainer.parentNode === container) {
+            container.removeChild(mainContainer);
+        }
+    }
+
     // Return methods for external control
     return {
+        update,
+        destroy,
         updateDistributions: (newDistributions) => {
             options.distributions = newDistributions;
             updateGroundTruthDisplay();
@@ -224,6 +595,16 @@ export function createCalculatorWidget(containerId, options) {
         setVisibilityState: (newVisibilityState) => {
             options.visibilityState = newVisibilityState;
             updateResults();
-        }
+        },
+        setMetric,
+        getMetric: () => metric,
+        setView,
+        getView: () => view,
+        setReferenceId,
+        getReferenceId: () => referenceId,
+        setDirection,
+        getDirection: () => direction,
+        setUnits,
+        getUnits: () => units
     };
 }
@@ -0,0 +1,84 @@
+/**
+ * Colors Module
+ * Color helpers and the default distribution series
+ */
+
+/**
+ * Default series: the six original distribution colors
+ */
+export const DEFAULT_SERIES = [
+    { id: 'blue', name: 'Blue', color: '#007bff' },
+    { id: 'green', name: 'Green', color: '#28a745' },
+    { id: 'red', name: 'Red', color: '#dc3545' },
+    { id: 'purple', name: 'Purple', color: '#6f42c1' },
+    { id: 'orange', name: 'Orange', color: '#fd7e14' },
+    { id: 'yellow', name: 'Yellow', color: '#ffc107' }
+];
+
+/**
+ * Convert a hex color (#rgb or #rrggbb) to its RGB components
+ *
+ * @param {string} hex - Hex color string
+ * @returns {{r: number, g: number, b: number}} RGB components (0-255)
+ */
+export function hexToRgb(hex) {
+    let digits = hex.replace('#', '');
+    if (digits.length === 3) {
+        digits = digits.split('').map(d => d + d).join('');
+    }
+    if (!/^[0-9A-Fa-f]{6}$/.test(digits)) {
+        throw new Error(`Invalid hex color: ${hex}`);
+    }
+    return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16)
+    };
+}
+
+/**
+ * Convert a hex color to an rgba() string with the given opacity
+ *
+ * @param {string} hex - Hex color string
+ * @param {number} alpha - Opacity in [0, 1]
+ * @returns {string} CSS rgba() color
+ */
+export function hexToRgba(hex, alpha) {
+    const { r, g, b } = hexToRgb(hex);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Validate and complete a list of series definitions
+ * Series ids end up in URL fragments, so they are restricted to URL-safe characters
+ *
+ * @param {Array<Object>} series - Series definitions with id, name and color
+ * @returns {Array<{id: string, name: string, color: string}>} Validated series
+ */
+export function normalizeSeries(series) {
+    if (!Array.isArray(series) || series.length === 0) {
+        throw new Error('At least one series is required');
+    }
+
+    const seen = new Set();
+    return series.map((entry, index) => {
+        const id = entry && entry.id;
+        if (typeof id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(id)) {
+            throw new Error(`Invalid series id: ${id}`);
+        }
+        if (seen.has(id)) {
+            throw new Error(`Duplicate series id: ${id}`);
+        }
+        seen.add(id);
+
+        // Fall back to the default palette when no color is given
+        const color = entry.color || DEFAULT_SERIES[index % DEFAULT_SERIES.length].color;
+        hexToRgb(color);
+
+        return {
+            id,
+            name: entry.name || id,
+            color
+        };
+    });
+}
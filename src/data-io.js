@@ -0,0 +1,226 @@
+/**
+ * Data I/O Module
+ * Export and import of distributions as JSON or CSV, at full precision
+ *
+ * JSON documents have the form:
+ *
+ *   {
+ *     "format": "ai-2027-widgets",
+ *     "version": 1,
+ *     "timeAxis": { "startYear": 2026, "endYear": 2040, "binsPerYear": 4 },
+ *     "bins": ["2026 Q1", "2026 Q2", ..., ">2039 or AGI never"],
+ *     "series": [
+ *       { "id": "blue", "name": "Blue", "color": "#007bff", "probabilities": [0.01, ...] }
+ *     ]
+ *   }
+ *
+ * with one normalized probability per bin. CSV files have a header row
+ * "bin,<id>,<id>,..." followed by one row per bin.
+ */
+
+import { normalizeDistribution } from './normalization.js';
+
+export const DATA_FORMAT = 'ai-2027-widgets';
+export const DATA_VERSION = 1;
+
+/**
+ * Bin labels of a time axis, in order
+ */
+function getBinLabels(timeAxis) {
+    return Array.from({ length: timeAxis.numPeriods }, (_, i) => timeAxis.formatPeriod(i));
+}
+
+/**
+ * Check and normalize one series' probabilities
+ */
+function validateProbabilities(id, probabilities, timeAxis) {
+    if (!Array.isArray(probabilities) || probabilities.length !== timeAxis.numPeriods) {
+        throw new Error(`Series ${id} must have ${timeAxis.numPeriods} probabilities`);
+    }
+    if (probabilities.some(p => typeof p !== 'number' || !Number.isFinite(p) || p < 0)) {
+        throw new Error(`Series ${id} has invalid probabilities`);
+    }
+    if (probabilities.every(p => p === 0)) {
+        throw new Error(`Series ${id} has no probability mass`);
+    }
+    return normalizeDistribution(probabilities);
+}
+
+/**
+ * Build a JSON document of distributions
+ *
+ * @param {Array<Object>} distributions - Distributions with id, name, color and values
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @returns {Object} JSON-serializable document
+ */
+export function toJsonDocument(distributions, timeAxis) {
+    return {
+        format: DATA_FORMAT,
+        version: DATA_VERSION,
+        timeAxis: {
+            startYear: timeAxis.startYear,
+            endYear: timeAxis.endYear,
+            binsPerYear: timeAxis.binsPerYear
+        },
+        bins: getBinLabels(timeAxis),
+        series: distributions.map(dist => ({
+            id: dist.id,
+            name: dist.name,
+            color: dist.color,
+            probabilities: normalizeDistribution(dist.values)
+        }))
+    };
+}
+
+/**
+ * Read a JSON document of distributions
+ * The document's time axis must match the given one
+ *
+ * @param {string|Object} input - JSON text or parsed document
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @returns {Array<Object>} Series with id, name, color and normalized probabilities
+ */
+export function parseJsonDocument(input, timeAxis) {
+    let doc = input;
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch {
+            throw new Error('Invalid JSON');
+        }
+    }
+
+    if (!doc || doc.format !== DATA_FORMAT) {
+        throw new Error(`Not an ${DATA_FORMAT} document`);
+    }
+    if (doc.version !== DATA_VERSION) {
+        throw new Error(`Unsupported document version: ${doc.version}`);
+    }
+    const axis = doc.timeAxis || {};
+    if (axis.startYear !== timeAxis.startYear || axis.endYear !== timeAxis.endYear
+        || axis.binsPerYear !== timeAxis.binsPerYear) {
+        throw new Error(`Time axis does not match (expected ${timeAxis.startYear}-${timeAxis.endYear}, `
+            + `${timeAxis.binsPerYear} bins per year)`);
+    }
+    if (!Array.isArray(doc.series) || doc.series.length === 0) {
+        throw new Error('Document has no series');
+    }
+
+    return doc.series.map(entry => {
+        if (!entry || typeof entry.id !== 'string' || entry.id === '') {
+            throw new Error('Every series needs an id');
+        }
+        return {
+            id: entry.id,
+            name: entry.name,
+            color: entry.color,
+            probabilities: validateProbabilities(entry.id, entry.probabilities, timeAxis)
+        };
+    });
+}
+
+/**
+ * Quote a CSV field if needed
+ */
+function toCsvField(text) {
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Export distributions as CSV, one row per bin and one column per series
+ *
+ * @param {Array<Object>} distributions - Distributions with id and values
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @returns {string} CSV text with a "bin,<id>,..." header
+ */
+export function toCsv(distributions, timeAxis) {
+    const probabilities = distributions.map(dist => normalizeDistribution(dist.values));
+    const lines = [['bin', ...distributions.map(dist => dist.id)].map(toCsvField).join(',')];
+    getBinLabels(timeAxis).forEach((label, i) => {
+        lines.push([toCsvField(label), ...probabilities.map(values => String(values[i]))].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Read distributions from CSV with a "bin,<id>,..." header and one row per bin,
+ * labelled as in the time axis
+ *
+ * @param {string} text - CSV text
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @returns {Array<Object>} Series with id and normalized probabilities
+ */
+export function parseCsv(text, timeAxis) {
+    const rows = parseCsvRows(String(text));
+    if (rows.length === 0) {
+        throw new Error('CSV is empty');
+    }
+
+    const [header, ...body] = rows;
+    const ids = header.slice(1).map(id => id.trim());
+    if (ids.length === 0 || ids.some(id => id === '')) {
+        throw new Error('CSV header must be "bin" followed by series ids');
+    }
+    if (body.length !== timeAxis.numPeriods) {
+        throw new Error(`CSV must have one row per bin (${timeAxis.numPeriods} rows)`);
+    }
+    // Same number of bins is not enough: another axis would import shifted
+    getBinLabels(timeAxis).forEach((label, i) => {
+        const bin = (body[i][0] || '').trim();
+        if (bin !== label) {
+            throw new Error(`Bin ${i + 1} is "${bin}", expected "${label}" (the time axis does not match)`);
+        }
+    });
+
+    return ids.map((id, column) => {
+        const probabilities = body.map(fields => {
+            const value = (fields[column + 1] || '').trim();
+            return value === '' ? NaN : Number(value);
+        });
+        return { id, probabilities: validateProbabilities(id, probabilities, timeAxis) };
+    });
+}
@@ -0,0 +1,68 @@
+/**
+ * Events Module
+ * A small event emitter for widget subscriptions
+ */
+
+/**
+ * Create an event emitter for a fixed set of event names
+ *
+ * @param {string[]} eventNames - Events that can be subscribed to
+ * @returns {Object} Emitter with on, off, emit and clear
+ */
+export function createEmitter(eventNames) {
+    const listeners = new Map(eventNames.map(name => [name, []]));
+
+    function getListeners(eventName) {
+        const eventListeners = listeners.get(eventName);
+        if (!eventListeners) {
+            throw new Error(`Unknown event: ${eventName} (expected one of ${eventNames.join(', ')})`);
+        }
+        return eventListeners;
+    }
+
+    /**
+     * Stop calling a listener
+     */
+    function off(eventName, listener) {
+        const eventListeners = getListeners(eventName);
+        const index = eventListeners.indexOf(listener);
+        if (index >= 0) {
+            eventListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Call a listener with each payload of an event
+     * @returns {Function} Unsubscribe function
+     */
+    function on(eventName, listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('Listener must be a function');
+        }
+        getListeners(eventName).push(listener);
+        return () => off(eventName, listener);
+    }
+
+    /**
+     * Call an event's listeners in subscription order
+     * A listener that throws is reported and does not stop the others
+     */
+    function emit(eventName, payload) {
+        // Copy, so listeners can unsubscribe while being called
+        [...getListeners(eventName)].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${eventName} listener:`, error);
+            }
+        });
+    }
+
+    function clear() {
+        listeners.forEach(eventListeners => {
+            eventListeners.length = 0;
+        });
+    }
+
+    return { on, off, emit, clear };
+}
@@ -0,0 +1,77 @@
+/**
+ * History Module
+ * Bounded undo/redo stacks of state snapshots
+ */
+
+/**
+ * Create an undo/redo history
+ * Snapshots are opaque to the history; callers push the state from before an
+ * edit, and pass the current state when undoing or redoing so it can be restored
+ *
+ * @param {Object} [config] - History configuration
+ * @param {number} [config.limit=100] - Maximum number of undo steps kept
+ * @returns {Object} History with push, undo, redo, canUndo, canRedo and clear
+ */
+export function createHistory(config = {}) {
+    const { limit = 100 } = config;
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('History limit must be a positive integer');
+    }
+
+    let undoStack = [];
+    let redoStack = [];
+    // Key of the last push, so that a run of related edits becomes one undo step
+    let lastKey = null;
+
+    /**
+     * Record the state from before an edit
+     * Consecutive pushes with the same coalesce key keep only the first snapshot
+     */
+    function push(snapshot, coalesceKey = null) {
+        if (coalesceKey !== null && coalesceKey === lastKey && undoStack.length > 0) {
+            redoStack = [];
+            return;
+        }
+        undoStack.push(snapshot);
+        if (undoStack.length > limit) {
+            undoStack.shift();
+        }
+        redoStack = [];
+        lastKey = coalesceKey;
+    }
+
+    /**
+     * Step back, returning the snapshot to restore (or null if there is none)
+     */
+    function undo(currentSnapshot) {
+        if (undoStack.length === 0) return null;
+        redoStack.push(currentSnapshot);
+        lastKey = null;
+        return undoStack.pop();
+    }
+
+    /**
+     * Step forward again, returning the snapshot to restore (or null if there is none)
+     */
+    function redo(currentSnapshot) {
+        if (redoStack.length === 0) return null;
+        undoStack.push(currentSnapshot);
+        lastKey = null;
+        return redoStack.pop();
+    }
+
+    function clear() {
+        undoStack = [];
+        redoStack = [];
+        lastKey = null;
+    }
+
+    return {
+        push,
+        undo,
+        redo,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        clear
+    };
+}
@@ -5,32 +5,75 @@
 
 import { createInteractiveWidget } from './interactive-widget.js';
 import { createCalculatorWidget } from './calculator-widget.js';
+import { createStatisticsWidget } from './statistics-widget.js';
+import { createParametricWidget } from './parametric-widget.js';
+import { parseQuantileText } from './quantile-fit.js';
 
 // Export boot function
-export function boot(root = document) {
+export function boot(root = document, widgetOptions = {}) {
     // Create interactive widget
-    const widget = createInteractiveWidget('interactive-widget', {});
+    const widget = createInteractiveWidget('interactive-widget', widgetOptions);
 
     // Create calculator widget
     const calculatorWidget = createCalculatorWidget('calculator-widget', {
         distributions: widget.getDistributions(),
         activeDistributionIndex: widget.getActiveDistributionIndex(),
-        visibilityState: widget.getVisibilityState()
+        visibilityState: widget.getVisibilityState(),
+        binsPerYear: widget.getTimeAxis().binsPerYear
     });
 
+    // Create statistics widget (optional container)
+    const statisticsWidget = root.getElementById('statistics-widget')
+        ? createStatisticsWidget('statistics-widget', {
+            distributions: widget.getDistributions(),
+            visibilityState: widget.getVisibilityState(),
+            timeAxis: widget.getTimeAxis()
+        })
+        : null;
+
+    // Create parametric widget (optional container)
+    if (root.getElementById('parametric-widget')) {
+        createParametricWidget('parametric-widget', {
+            timeAxis: widget.getTimeAxis(),
+            onApply: (probabilities) => widget.applyToActiveDistribution(probabilities),
+            getValues: () => widget.getDistributions()[widget.getActiveDistributionIndex()].values
+        });
+    }
+
     // Interactive widget controls
     const colorSelect = root.getElementById('distribution-color');
+    const viewModeSelect = root.getElementById('view-mode');
+    const aggregateMethodSelect = root.getElementById('aggregate-method');
+    const toolSelect = root.getElementById('drawing-tool');
+    const brushWidthInput = root.getElementById('brush-width');
     const visibilityTogglesContainer = root.getElementById('visibility-toggles');
+    const quantileInput = root.getElementById('quantile-input');
+    const quantileFitButton = root.getElementById('quantile-fit');
+    const undoButton = root.getElementById('undo');
+    const exportJsonButton = root.getElementById('export-json');
+    const exportCsvButton = root.getElementById('export-csv');
+    const importButton = root.getElementById('import-data');
+    const importFileInput = root.getElementById('import-file');
+    const exportPngButton = root.getElementById('export-png');
+    const exportPngRatioSelect = root.getElementById('export-png-ratio');
+    const exportSvgButton = root.getElementById('export-svg');
+    const savedForecastsSelect = root.getElementById('saved-forecasts');
+    const loadForecastButton = root.getElementById('load-forecast');
+    const saveForecastButton = root.getElementById('save-forecast');
+    const renameForecastButton = root.getElementById('rename-forecast');
+    const deleteForecastButton = root.getElementById('delete-forecast');
+    const redoButton = root.getElementById('redo');
 
-    // Checkbox color labels
-    const colorSchemes = {
-        blue: '#007bff',
-        green: '#28a745',
-        red: '#dc3545',
-        purple: '#6f42c1',
-        orange: '#fd7e14',
-        yellow: '#ffc107'
-    };
+    // Populate the drawing selector with the widget's series (references cannot be drawn on)
+    function createColorSelectOptions() {
+        colorSelect.innerHTML = '';
+        widget.getDistributions().filter(distribution => !distribution.readOnly).forEach((distribution) => {
+            const option = root.createElement('option');
+            option.value = distribution.id;
+            option.textContent = distribution.name;
+            colorSelect.appendChild(option);
+        });
+    }
 
     // Create visibility toggles
     function createVisibilityToggles() {
@@ -42,13 +85,24 @@ export function boot(root = document) {
         distributions.forEach((distribution, index) => {
             const toggle = root.createElement('div');
             toggle.className = 'visibility-toggle';
-            toggle.innerHTML = `
-                <input type="checkbox" id="toggle-${distribution.color}">
-                <div class="color-box" style="background-color: ${colorSchemes[distribution.color]}"></div>
-                <span class="label">${distribution.color.charAt(0).toUpperCase() + distribution.color.slice(1)}</span>
-            `;
-            
-            const checkbox = toggle.querySelector('input[type="checkbox"]');
+
+            const checkbox = root.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `toggle-${distribution.id}`;
+
+            const colorBox = root.createElement('div');
+            colorBox.className = 'color-box';
+            colorBox.style.backgroundColor = distribution.color;
+
+            const label = root.createElement('span');
+            label.className = 'label';
+            label.textContent = distribution.readOnly && !distribution.derived
+                ? `${distribution.name} (reference)`
+                : distribution.name;
+
+            toggle.appendChild(checkbox);
+            toggle.appendChild(colorBox);
+            toggle.appendChild(label);
             
             // Handle active distribution logic
             if (index === activeIndex) {
@@ -67,10 +121,13 @@ export function boot(root = document) {
             // Add event listener
             checkbox.addEventListener('change', () => {
                 widget.setDistributionVisibility(index, checkbox.checked);
-                // Update calculator widget when visibility changes
+                // Update calculator and statistics widgets when visibility changes
                 if (calculatorWidget) {
                     calculatorWidget.setVisibilityState(widget.getVisibilityState());
                 }
+                if (statisticsWidget) {
+                    statisticsWidget.setVisibilityState(widget.getVisibilityState());
+                }
             });
             
             visibilityTogglesContainer.appendChild(toggle);
@@ -83,7 +140,7 @@ export function boot(root = document) {
     function resetVisibilityToggleState() {
         const distributions = widget.getDistributions();
         distributions.forEach((distribution) => {
-            const checkbox = root.getElementById(`toggle-${distribution.color}`);
+            const checkbox = root.getElementById(`toggle-${distribution.id}`);
             if (checkbox) {
                 checkbox.removeAttribute('data-initialized');
             }
@@ -96,7 +153,7 @@ export function boot(root = document) {
         const activeIndex = widget.getActiveDistributionIndex();
         
         distributions.forEach((distribution, index) => {
-            const checkbox = root.getElementById(`toggle-${distribution.color}`);
+            const checkbox = root.getElementById(`toggle-${distribution.id}`);
             if (checkbox) {
                 if (index === activeIndex) {
                     // Active distribution should always be visible and
@@ -119,8 +176,7 @@ export function boot(root = document) {
         const activeIndex = widget.getActiveDistributionIndex();
         if (activeIndex >= 0) {
             const distributions = widget.getDistributions();
-            const activeColor = distributions[activeIndex].color;
-            colorSelect.value = activeColor;
+            colorSelect.value = distributions[activeIndex].id;
         }
     }
 
@@ -128,8 +184,7 @@ export function boot(root = document) {
 
     // Handle color dropdown changes
     colorSelect.addEventListener('change', () => {
-        const color = colorSelect.value;
-        widget.setActiveDistributionByColor(color);
+        widget.setActiveDistributionById(colorSelect.value);
         updateVisibilityToggles();
         
         // Update the calculator widget when active distribution changes
@@ -138,6 +193,181 @@ export function boot(root = document) {
         }
     });
 
+    // Handle view dropdown changes (optional control)
+    if (viewModeSelect) {
+        viewModeSelect.value = widget.getViewMode();
+        viewModeSelect.addEventListener('change', () => {
+            widget.setViewMode(viewModeSelect.value);
+        });
+    }
+
+    // Handle aggregation method changes (optional control, needs the aggregate widget option)
+    if (aggregateMethodSelect && widgetOptions.aggregate) {
+        aggregateMethodSelect.value = widget.getAggregateMethod();
+        aggregateMethodSelect.addEventListener('change', () => {
+            widget.setAggregateMethod(aggregateMethodSelect.value);
+        });
+    }
+
+    // Handle tool dropdown and brush width changes (optional controls)
+    if (toolSelect) {
+        toolSelect.value = widget.getTool();
+        toolSelect.addEventListener('change', () => {
+            widget.setTool(toolSelect.value);
+        });
+    }
+    if (brushWidthInput) {
+        brushWidthInput.value = String(widget.getBrushWidth());
+        brushWidthInput.addEventListener('input', () => {
+            widget.setBrushWidth(parseFloat(brushWidthInput.value));
+        });
+    }
+
+    // Enable the undo and redo buttons only when there is something to undo or redo
+    function updateHistoryButtons() {
+        if (undoButton) undoButton.disabled = !widget.canUndo();
+        if (redoButton) redoButton.disabled = !widget.canRedo();
+    }
+
+    // Handle undo and redo buttons (optional controls)
+    if (undoButton) {
+        undoButton.addEventListener('click', () => widget.undo());
+    }
+    if (redoButton) {
+        redoButton.addEventListener('click', () => widget.redo());
+    }
+
+    // Offer a URL as a file download
+    function downloadUrl(url, filename) {
+        const link = root.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+    }
+
+    // Offer text as a file download
+    function downloadText(text, filename, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        downloadUrl(url, filename);
+        URL.revokeObjectURL(url);
+    }
+
+    // Handle export buttons (optional controls)
+    if (exportJsonButton) {
+        exportJsonButton.addEventListener('click', () => {
+            downloadText(widget.exportData('json'), 'ai-2027-forecast.json', 'application/json');
+        });
+    }
+    if (exportCsvButton) {
+        exportCsvButton.addEventListener('click', () => {
+            downloadText(widget.exportData('csv'), 'ai-2027-forecast.csv', 'text/csv');
+        });
+    }
+
+    // Handle chart image export (optional controls)
+    if (exportPngButton) {
+        exportPngButton.addEventListener('click', () => {
+            const pixelRatio = exportPngRatioSelect ? parseFloat(exportPngRatioSelect.value) : 2;
+            downloadUrl(widget.exportPng({ pixelRatio }), 'ai-2027-forecast.png');
+        });
+    }
+    if (exportSvgButton) {
+        exportSvgButton.addEventListener('click', () => {
+            downloadText(widget.exportSvg(), 'ai-2027-forecast.svg', 'image/svg+xml');
+        });
+    }
+
+    // Handle import from a JSON or CSV file (optional controls)
+    if (importButton && importFileInput) {
+        importButton.addEventListener('click', () => importFileInput.click());
+        importFileInput.addEventListener('change', async () => {
+            const file = importFileInput.files[0];
+            if (!file) return;
+            try {
+                widget.importData(await file.text(), file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json');
+            } catch (error) {
+                window.alert(`Could not import ${file.name}: ${error.message}`);
+            }
+            // Allow importing the same file again
+            importFileInput.value = '';
+        });
+    }
+
+    // Saved forecasts (optional controls, need the storage widget option)
+    if (savedForecastsSelect && widgetOptions.storage) {
+        const refreshSavedForecasts = (selectedId) => {
+            savedForecastsSelect.innerHTML = '';
+            widget.listForecasts().forEach((forecast) => {
+                const option = root.createElement('option');
+                option.value = forecast.id;
+                option.textContent = `${forecast.name} (${new Date(forecast.updatedAt).toLocaleString()})`;
+                savedForecastsSelect.appendChild(option);
+            });
+            if (selectedId) {
+                savedForecastsSelect.value = selectedId;
+            }
+        };
+        // Report errors (e.g. unknown forecasts, or a full or blocked localStorage)
+        const reportErrors = (action) => {
+            try {
+                action();
+            } catch (error) {
+                window.alert(error.message);
+            }
+        };
+        // Run an action on the selected forecast, reporting errors
+        const withSelectedForecast = (action) => () => {
+            const id = savedForecastsSelect.value;
+            if (!id) return;
+            reportErrors(() => action(id));
+        };
+
+        refreshSavedForecasts();
+        if (saveForecastButton) {
+            saveForecastButton.addEventListener('click', () => {
+                const name = window.prompt('Name for this forecast:');
+                if (name === null || name.trim() === '') return;
+                reportErrors(() => refreshSavedForecasts(widget.saveForecast(name).id));
+            });
+        }
+        if (loadForecastButton) {
+            loadForecastButton.addEventListener('click', withSelectedForecast(id => widget.loadForecast(id)));
+        }
+        if (renameForecastButton) {
+            renameForecastButton.addEventListener('click', withSelectedForecast((id) => {
+                const name = window.prompt('New name:', widget.listForecasts().find(forecast => forecast.id === id).name);
+                if (name === null || name.trim() === '') return;
+                widget.renameForecast(id, name);
+                refreshSavedForecasts(id);
+            }));
+        }
+        if (deleteForecastButton) {
+            deleteForecastButton.addEventListener('click', withSelectedForecast((id) => {
+                if (!window.confirm('Delete this saved forecast?')) return;
+                widget.deleteForecast(id);
+                refreshSavedForecasts();
+            }));
+        }
+    }
+
+    // Fit the active distribution to the entered quantiles (optional controls)
+    if (quantileInput && quantileFitButton) {
+        const fitEnteredQuantiles = () => {
+            try {
+                widget.fitActiveToQuantiles(parseQuantileText(quantileInput.value));
+                quantileInput.setCustomValidity('');
+            } catch (error) {
+                quantileInput.setCustomValidity(error.message);
+                quantileInput.reportValidity();
+            }
+        };
+        quantileFitButton.addEventListener('click', fitEnteredQuantiles);
+        quantileInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') fitEnteredQuantiles();
+        });
+        quantileInput.addEventListener('input', () => quantileInput.setCustomValidity(''));
+    }
+
     // Set up callback to update calculator widget when distributions
     // change
     widget.setOnChange((distributions) => {
@@ -146,23 +376,33 @@ export function boot(root = document) {
             calculatorWidget.setActiveDistributionIndex(widget.getActiveDistributionIndex());
             calculatorWidget.setVisibilityState(widget.getVisibilityState());
         }
+        if (statisticsWidget) {
+            statisticsWidget.updateDistributions(distributions);
+            statisticsWidget.setVisibilityState(widget.getVisibilityState());
+        }
         // Reset visibility toggle state to ensure proper updates
         resetVisibilityToggleState();
         // Update the UI controls to reflect the active distribution
         updateColorSelect();
         updateVisibilityToggles();
+        updateHistoryButtons();
     });
 
     // Initialize
+    createColorSelectOptions();
     createVisibilityToggles();
     updateColorSelect();
     updateVisibilityToggles();
+    updateHistoryButtons();
     
     // Initialize calculator widget with current state after Interactive widget is fully set up
     if (calculatorWidget) {
         calculatorWidget.setVisibilityState(widget.getVisibilityState());
     }
+    if (statisticsWidget) {
+        statisticsWidget.setVisibilityState(widget.getVisibilityState());
+    }
 
 }
 
-export { createInteractiveWidget, createCalculatorWidget };
+export { createInteractiveWidget, createCalculatorWidget, createStatisticsWidget, createParametricWidget };
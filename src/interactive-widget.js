@@ -1,22 +1,81 @@
 /**
  * AI 2027 - Interactive Widget
- * Allows users to create multiple probability distributions with different colors
+ * Allows users to create multiple named probability distributions
  * 
  * Features:
  * - Interactive drawing of probability distributions
- * - Multiple distributions with different colors
+ * - Multiple named distribution series, each with its own color
  * - Background distribution renormalization relative to active distribution on
  *   mouse up
  * - Visibility controls for each distribution
- * - URL fragment state management for sharing distributions
+ * - URL fragment state management for sharing distributions, the active series,
+ *   visibility and pinned bins, namespaced per widget instance
+ * - Optional local persistence: autosave and named saved forecasts
+ * - Lifecycle: update(options) reconfigures in place, destroy() removes the widget
+ * - Event subscriptions with on/off: change, commit, activechange, visibilitychange,
+ *   scalechange and restore
+ * - Programmatic setters for series values, resets, the peak scale and bulk state
+ * - Read-only reference series (e.g. published forecasts), drawn dashed
+ * - An aggregate of the visible distributions (linear or geometric pool, or median of CDFs,
+ *   with optional weights), recomputed live and drawn dotted
+ * - Configurable time axis (start/end year and bin granularity)
+ * - Cumulative (CDF) view, with monotone drawing converted back to per-bin mass
+ * - Fitting the active distribution to elicited quantiles
+ * - Replacing the active distribution with given per-bin probabilities
+ * - Undo/redo of strokes, guideline drags, distribution switches and URL loads
+ *   (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y)
+ * - Keyboard editing: arrow keys select and edit a bin, number keys switch the
+ *   active series and Page Up/Page Down move the peak guideline
+ * - Screen reader support: a hidden table of per-bin probabilities describes the
+ *   canvas, and keyboard edits are announced
+ * - Hover inspector: crosshair and tooltip with each visible distribution's
+ *   probability and cumulative probability for the bin under the pointer
+ * - Drawing tools: freehand, smoothing brush, flatten, Gaussian stamp and eraser
+ * - Pinned bins: edits skip them and keep their share of the probability
+ * - JSON and CSV export and import of the distributions at full precision
+ * - PNG and SVG export of the chart with a legend, drawn by the same code as the canvas
  */
 
+import { createTimeAxis } from './time-axis.js';
+import { fitQuantiles } from './quantile-fit.js';
+import { DEFAULT_SERIES, hexToRgba, normalizeSeries } from './colors.js';
+import { cumulativeToMass, findQuantileIndex, setCumulativePoint, toCumulative } from './statistics.js';
+import { createHistory } from './history.js';
+import { createLiveRegion, hideVisually } from './accessibility.js';
+import { parseCsv, parseJsonDocument, toCsv, toJsonDocument } from './data-io.js';
+import { createSvgContext } from './svg-context.js';
+import { decodeUrlState, encodeUrlState, extractUrlState, mergeUrlState } from './url-codec.js';
+import { createForecastStore } from './storage.js';
+import { createEmitter } from './events.js';
+import { normalizeDistribution } from './normalization.js';
+import { AGGREGATION_METHODS, aggregateDistributions } from './aggregate.js';
+
 /**
  * Creates an interactive canvas widget for drawing multiple probability distributions
  * @param {string} containerId - The ID of the HTML element to insert the widget into
  * @param {Object} options - Widget configuration options
  * @param {Function} [options.onChange] - Callback function called when distributions change
+ *   (see also the on/off event methods)
  * @param {boolean} [options.enableUrlState=true] - Whether to enable URL fragment state management
+ * @param {string} [options.urlNamespace] - Prefix for this widget's URL fragment keys (letters, digits,
+ *   '_' and '-'), needed when several widgets on one page keep URL state
+ * @param {boolean|Object} [options.storage] - Persist forecasts locally: true for localStorage, or an
+ *   adapter with getItem, setItem and removeItem. Enables the autosave and the saved forecast methods
+ * @param {number} [options.startYear=2026] - First year on the time axis
+ * @param {number} [options.endYear=2040] - Year at which the tail bin starts
+ * @param {number} [options.binsPerYear=4] - Number of bins per year (e.g. 1, 4, 12)
+ * @param {string|Array<string>} [options.tailLabel] - Label for the tail bin, one entry per line
+ * @param {Array<Object>} [options.series] - Distribution series, each with a URL-safe id, a display name
+ *   and a hex color (defaults to the six colors blue, green, red, purple, orange and yellow)
+ * @param {Array<Object>} [options.references] - Read-only reference series with an id, name, color,
+ *   one probability per bin and an optional visible flag (default true). They are drawn dashed, can be
+ *   shown, hidden and scored, but not drawn on, and are left out of the URL state and data export
+ * @param {boolean|Object} [options.aggregate] - Add a read-only aggregate of the visible distributions:
+ *   true, or { method = 'linear' ('linear', 'geometric' or 'median'), weights (by series id, default 1),
+ *   id = 'aggregate', name = 'Aggregate', color, visible = true }
+ * @param {string} [options.viewMode='density'] - 'density' for per-bin mass, 'cumulative' for P(AGI by bin)
+ * @param {string} [options.tool='draw'] - Drawing tool: 'draw', 'smooth', 'flatten', 'stamp', 'erase', 'pin' or 'unpin'
+ * @param {number} [options.brushWidth=2] - Width in bins of the smoothing brush and the stamp's Gaussian
  */
 
 export function createInteractiveWidget(containerId, options) {
@@ -33,6 +92,34 @@ export function createInteractiveWidget(containerId, options) {
 
     // Default URL state management to enabled
     const enableUrlState = options.enableUrlState !== false;
+    const urlNamespace = options.urlNamespace;
+    if (urlNamespace !== undefined && (typeof urlNamespace !== 'string' || !/^[A-Za-z0-9_-]+$/.test(urlNamespace))) {
+        throw new Error(`Invalid URL namespace: ${urlNamespace}`);
+    }
+    let lastUrlState = null; // This widget's fragment parameters when last written or read
+
+    // Subscriptions through the returned on/off methods
+    const events = createEmitter(['change', 'commit', 'activechange', 'visibilitychange', 'scalechange', 'restore']);
+
+    // Event listeners registered through listen(), removed by destroy()
+    const listenerCleanups = [];
+    let isDestroyed = false;
+
+    /**
+     * Add an event listener that destroy() removes again
+     */
+    function listen(target, type, handler, listenerOptions) {
+        target.addEventListener(type, handler, listenerOptions);
+        listenerCleanups.push(() => target.removeEventListener(type, handler, listenerOptions));
+    }
+
+    // Optional local persistence: true for localStorage, or a storage adapter
+    const forecastStore = options.storage
+        ? createForecastStore({
+            adapter: options.storage === true ? undefined : options.storage,
+            key: urlNamespace ? `ai-2027-widgets.${urlNamespace}` : 'ai-2027-widgets'
+        })
+        : null;
 
     const canvas = document.createElement('canvas');
     // Calculate responsive width
@@ -44,18 +131,54 @@ export function createInteractiveWidget(containerId, options) {
     canvas.height = heightPixels;
     canvas.className = 'widget-canvas';
 
-    const ctx = canvas.getContext('2d');
-
-    // Hardcoding years
-    const startYear = 2026;
-    const endYear = 2040;
-
-    const numYears = endYear - startYear + 1;
-    const numPeriods = (numYears - 1) * 4 + 1;
-
-    // Store multiple distributions - initialize all colors
+    // Drawing target: the canvas, or an export context while exporting an image
+    const canvasContext = canvas.getContext('2d');
+    let ctx = canvasContext;
+    let isExporting = false; // Leave out interactive overlays (cursor, hover) in exports
+    const LEGEND_HEIGHT = 36;
+
+    // Time axis (years and bin granularity)
+    const timeAxis = createTimeAxis({
+        startYear: options.startYear,
+        endYear: options.endYear,
+        binsPerYear: options.binsPerYear,
+        tailLabel: options.tailLabel
+    });
+    const { startYear, binsPerYear, numYears, numPeriods } = timeAxis;
+
+    // Distribution series (id, display name and color)
+    const series = normalizeSeries(options.series || DEFAULT_SERIES);
+
+    // Read-only reference series, kept after the editable ones (ids must differ from theirs)
+    const references = normalizeSeries([...series, ...(options.references || [])])
+        .slice(series.length)
+        .map((entry, i) => ({
+            ...entry,
+            probabilities: toSeriesProbabilities(entry.id, options.references[i].probabilities, true),
+            visible: options.references[i].visible !== false
+        }));
+
+    // Aggregate of the visible distributions, kept last and recomputed whenever they are drawn
+    const aggregateOptions = options.aggregate === true ? {} : options.aggregate;
+    const aggregateSeries = aggregateOptions ? {
+        ...normalizeSeries([
+            ...series,
+            ...references,
+            { id: 'aggregate', name: 'Aggregate', color: '#212529', ...aggregateOptions }
+        ]).pop(),
+        visible: aggregateOptions.visible !== false
+    } : null;
+    let aggregateMethod = aggregateOptions && AGGREGATION_METHODS[aggregateOptions.method]
+        ? aggregateOptions.method
+        : 'linear';
+    let aggregateWeights = aggregateOptions && aggregateOptions.weights
+        ? validateAggregateWeights(aggregateOptions.weights)
+        : {};
+    const readOnlySeries = aggregateSeries ? [...references, aggregateSeries] : references;
+
+    // Store multiple distributions - one per series
     let distributions = [];
-    let activeDistributionIndex = 0; // Start with blue
+    let activeDistributionIndex = 0; // Start with the first series
 
     // Track visibility state for each distribution
     const visibilityState = {};
@@ -64,16 +187,42 @@ export function createInteractiveWidget(containerId, options) {
     let originalValues = {};
     let userModifiedValues = {}; // Track which distributions have been modified by the user
 
+    // Undo/redo history of widget state snapshots
+    const editHistory = createHistory();
+
     // Drawing state
     let isDrawing = false;
     let lastX = 0;
     let lastY = 0;
+
+    // View state ('density' or 'cumulative')
+    let viewMode = options.viewMode === 'cumulative' ? 'cumulative' : 'density';
+    let cumulativeStroke = null; // Working CDF and peak of the active distribution while drawing in cumulative view
+
+    // Drawing tools (the cumulative view always draws freehand)
+    const TOOLS = ['draw', 'smooth', 'flatten', 'stamp', 'erase', 'pin', 'unpin'];
+    let tool = TOOLS.includes(options.tool) ? options.tool : 'draw';
+    let brushWidth = options.brushWidth > 0 ? options.brushWidth : 2;
+    let flattenLevel = null; // Level of the flatten tool, set where the stroke starts
+
+    // Pinned bins per series id; edits of the active distribution skip them
+    let pinnedBins = {};
+    let pinnedShareAtEditStart = null; // Probability held by pinned bins when the current edit started
     
     // Guideline drag state
     let isDraggingGuideline = false;
     let guidelineY = 0; // Will be set when active distribution changes
     let guidelineScaleFactor = 1.0; // Current scale factor for distributions
     let guidelineManuallySet = false; // Track if user has manually positioned the guideline
+
+    // Keyboard editing state
+    let keyboardCursor = 0; // Bin selected with the arrow keys
+    let hasKeyboardFocus = false; // Only show the bin cursor while the canvas has focus
+    const KEYBOARD_STEP = 0.01; // Up/Down change in canvas height (or cumulative probability)
+    const KEYBOARD_COARSE_STEP = 0.1; // With Shift held
+
+    // Hover inspector state
+    let hoverPeriodIndex = null; // Bin under the pointer, or null when not hovering the plot
     
     // Second highest distribution peak guideline state
     let secondHighestPeakY = 0; // Y position for second highest distribution's peak
@@ -90,230 +239,153 @@ export function createInteractiveWidget(containerId, options) {
      */
 
     /**
-     * Serialize distribution state to a compact URL fragment
-     * Format: #d=color1:values1,color2:values2,...
+     * Widget state in the form stored in URL fragments and saved forecasts
+     * Only distributions, the active series, visibility and pins - other visual parameters are not stored
+     */
+    function encodeState(namespace) {
+        return encodeUrlState({
+            distributions: distributions.filter(dist => !dist.readOnly).map(dist => ({
+                id: dist.id,
+                values: dist.values.map(val => Math.max(FLOOR_PROBABILITY_EPSILON, val))
+            })),
+            activeId: distributions[activeDistributionIndex].id,
+            visibility: visibilityState,
+            pinnedBins
+        }, namespace);
+    }
+
+    /**
+     * Serialize widget state to a compact URL fragment (format in url-codec.js)
+     * and to the autosave, if storage is enabled
+     * Only this widget's keys are replaced; other fragment parameters are kept
      */
     function serializeStateToUrl() {
+        if (isDestroyed) return;
+        if (forecastStore) {
+            try {
+                forecastStore.autosave(encodeState());
+            } catch (error) {
+                console.warn('Failed to autosave forecast:', error.message);
+            }
+        }
+
         if (!enableUrlState) return;
 
-        // Only serialize distributions - visual parameters are not stored
-        const distributionParts = distributions.map(dist => {
-            // Encode values as base64-like string (using URL-safe characters)
-            const encodedValues = encodeDistributionValues(dist.values);
-            return `${dist.color}:${encodedValues}`;
-        });
-        
-        const fragment = `d=${distributionParts.join(',')}`;
+        const fragment = encodeState(urlNamespace);
+        lastUrlState = fragment;
         
         // Update URL without triggering page reload
         if (window.history && window.history.replaceState) {
-            const newUrl = window.location.pathname + window.location.search + '#' + fragment;
+            const merged = mergeUrlState(window.location.hash, fragment, urlNamespace);
+            const newUrl = window.location.pathname + window.location.search + '#' + merged;
             window.history.replaceState(null, '', newUrl);
         }
     }
 
     /**
-     * Encode distribution values to a compact string
-     * Uses fixed-width base36 encoding to eliminate separators
+     * Parse URL fragment and restore widget state
+     * Falls back to initialization state if any distribution is invalid
      */
-    function encodeDistributionValues(values) {
-        // Convert probabilities to integers (0-1000 range for precision)
-        // Apply epsilon floor during encoding to preserve small values
-        const encoded = values.map(val => Math.round(Math.max(FLOOR_PROBABILITY_EPSILON, val) * 1000));
-        
-        // Convert to fixed-width base36 (2 characters each, uppercase)
-        return encoded.map(num => num.toString(36).toUpperCase().padStart(2, '0')).join('');
+    function parseUrlState() {
+        if (!enableUrlState) return false;
+
+        const fragment = window.location.hash.substring(1);
+        lastUrlState = extractUrlState(fragment, urlNamespace);
+        return applyStateFragment(fragment, urlNamespace, 'url');
     }
 
+    // How each source of state fragments is named in warnings
+    const STATE_SOURCE_LABELS = {
+        url: 'URL state',
+        autosave: 'autosaved state',
+        forecast: 'saved forecast'
+    };
+
     /**
-     * Decode distribution values from encoded string
-     * @param {string} encoded - The encoded string to decode
-     * @returns {number[]|null} - Array of probability values or null if invalid
+     * Restore widget state from a URL fragment, the autosave or a saved forecast
+     * @param {string} source - Where the fragment came from ('url', 'autosave' or 'forecast'), for warnings
+     * @returns {boolean} Whether the fragment held valid state
      */
-    function decodeDistributionValues(encoded) {
-        // Validate input
-        if (!encoded || typeof encoded !== 'string' || encoded.length === 0) {
-            return null;
+    function applyStateFragment(fragment, namespace, source) {
+        if (!fragment) return false;
+        const sourceLabel = STATE_SOURCE_LABELS[source];
+
+        let decoded;
+        try {
+            decoded = decodeUrlState(fragment, {
+                seriesIds: series.map(entry => entry.id),
+                numPeriods,
+                floor: FLOOR_PROBABILITY_EPSILON,
+                namespace
+            });
+        } catch (error) {
+            console.warn(`Invalid ${sourceLabel}, ignoring it:`, error.message);
+            return false;
         }
+        if (!decoded) return false;
+        decoded.warnings.forEach(warning => console.warn(`${sourceLabel}: ${warning}`));
+
+        // Apply the complete set of distributions (valid from URL + defaults for missing), in series order
+        distributions = series.map(entry => ({
+            ...entry,
+            values: decoded.values[entry.id] || createDefaultValues()
+        }));
         
-        const chunkSize = 2; // Fixed width for each value
-        
-        // Check if encoded length is valid (must be divisible by chunk size)
-        if (encoded.length % chunkSize !== 0) {
-            return null;
-        }
+        pinnedBins = decoded.pinnedBins;
+
+        // Active series (version 1 links: the first one)
+        activeDistributionIndex = Math.max(0, distributions.findIndex(dist => dist.id === decoded.activeId));
+        guidelineScaleFactor = 1.0;
+        guidelineManuallySet = false;
+
+        appendReadOnlyDistributions();
         
-        const chunks = [];
+        // Restore original values for distributions from URL
+        distributions.forEach((dist, index) => {
+            originalValues[index] = [...dist.values];
+        });
         
-        for (let i = 0; i < encoded.length; i += chunkSize) {
-            chunks.push(encoded.slice(i, i + chunkSize));
-        }
+        // Visibility (version 1 links, or series missing from the flags: only the active series is visible)
+        // References are not in the URL and keep their visibility
+        series.forEach((dist, index) => {
+            const visible = decoded.visibility && decoded.visibility[dist.id];
+            visibilityState[index] = index === activeDistributionIndex || Boolean(visible);
+        });
         
-        try {
-            const values = chunks.map(chunk => {
-                // Validate chunk format (must be valid base36)
-                if (!/^[0-9A-Za-z]{2}$/.test(chunk)) {
-                    throw new Error(`Invalid chunk format: ${chunk}`);
-                }
-                
-                // Parse base36 (case-insensitive, but we use uppercase)
-                const num = parseInt(chunk.toUpperCase(), 36);
-                
-                // Validate parsed number (should be in valid range 0-1000)
-                if (isNaN(num) || num < 0 || num > 1000) {
-                    throw new Error(`Invalid value: ${num} from chunk ${chunk}`);
-                }
-                
-                // Convert back to probability and apply epsilon floor
-                return Math.max(FLOOR_PROBABILITY_EPSILON, num / 1000);
-            });
-            
-            // Validate probability values (should be between 0 and 1)
-            for (let i = 0; i < values.length; i++) {
-                if (values[i] < 0 || values[i] > 1) {
-                    throw new Error(`Invalid probability value: ${values[i]} at index ${i}`);
-                }
-            }
-            
-            return values;
-        } catch (error) {
-            console.warn('Failed to decode distribution values:', error.message);
-            return null;
-        }
+        return true;
     }
 
     /**
-     * Parse URL fragment and restore widget state
-     * Falls back to initialization state if any distribution is invalid
+     * Replace the current state with a fragment's state as one undoable step
+     * @param {string} source - Where the fragment came from, for the restore event ('url' or 'forecast')
+     * @returns {boolean} Whether the fragment held valid state
      */
-    function parseUrlState() {
-        if (!enableUrlState) return false;
-
-        const fragment = window.location.hash.substring(1);
-        if (!fragment) return false;
-
-        try {
-            const params = new URLSearchParams(fragment);
-            
-            // Parse distributions
-            const distributionsParam = params.get('d');
-            if (distributionsParam) {
-                const distributionParts = distributionsParam.split(',');
-                const newDistributions = [];
-                let hasInvalidDistribution = false;
-                
-                // Validate each distribution part
-                for (const part of distributionParts) {
-                    const [color, encodedValues] = part.split(':');
-                    
-                    // Validate color and encoded values
-                    if (!color || !encodedValues) {
-                        console.warn('Invalid distribution format:', part);
-                        hasInvalidDistribution = true;
-                        break;
-                    }
-                    
-                    // Validate color (must be one of the allowed colors)
-                    const validColors = ['blue', 'green', 'red', 'purple', 'orange', 'yellow'];
-                    if (!validColors.includes(color)) {
-                        console.warn('Invalid distribution color:', color);
-                        hasInvalidDistribution = true;
-                        break;
-                    }
-                    
-                    // Decode and validate values
-                    const values = decodeDistributionValues(encodedValues);
-                    if (values === null) {
-                        console.warn('Failed to decode distribution values for color:', color);
-                        hasInvalidDistribution = true;
-                        break;
-                    }
-                    
-                    // Ensure we have the right number of values
-                    if (values.length !== numPeriods) {
-                        console.warn(`Invalid number of values for ${color}: expected ${numPeriods}, got ${values.length}`);
-                        hasInvalidDistribution = true;
-                        break;
-                    }
-                    
-                    // Check for duplicate colors
-                    if (newDistributions.some(dist => dist.color === color)) {
-                        console.warn('Duplicate distribution color:', color);
-                        hasInvalidDistribution = true;
-                        break;
-                    }
-                    
-                    newDistributions.push({
-                        color: color,
-                        values: values
-                    });
-                }
-                
-                // If any distribution was invalid, fall back to initialization state
-                if (hasInvalidDistribution) {
-                    console.warn('Invalid distributions detected, falling back to initialization state');
-                    return false;
-                }
-                
-                // Check for missing colors and fill them with default values
-                const expectedColors = ['blue', 'green', 'red', 'purple', 'orange', 'yellow'];
-                const loadedColors = newDistributions.map(dist => dist.color);
-                const missingColors = expectedColors.filter(color => !loadedColors.includes(color));
-                
-                if (missingColors.length > 0) {
-                    console.warn(`Missing colors: ${missingColors.join(', ')}. Filling with default values.`);
-                    
-                    // Create default distributions for missing colors
-                    missingColors.forEach(color => {
-                        const initialValues = Array(numPeriods).fill(0).map((_, i) => 0.2 + (0.8 * i / (numPeriods - 1)));
-                        newDistributions.push({
-                            color: color,
-                            values: initialValues
-                        });
-                    });
-                }
-                
-                // Apply the complete set of distributions (valid from URL + defaults for missing)
-                if (newDistributions.length > 0) {
-                    distributions = newDistributions;
-                    
-                    // Restore original values for distributions from URL
-                    distributions.forEach((dist, index) => {
-                        originalValues[index] = [...dist.values];
-                    });
-                    
-                    // Reset visual parameters to defaults
-                    activeDistributionIndex = 0;
-                    guidelineScaleFactor = 1.0;
-                    guidelineManuallySet = false;
-                    
-                    // Set distributions to not visible by default (except active)
-                    distributions.forEach((_, index) => {
-                        visibilityState[index] = index === 0; // Only active (index 0) is visible
-                    });
-                    
-                    return true;
-                }
-            }
-
-            return false;
-        } catch (error) {
-            console.warn('Failed to parse URL state:', error);
-            return false;
+    function loadStateFragment(fragment, namespace, source) {
+        const snapshot = takeSnapshot();
+        const before = takeViewState();
+        if (!applyStateFragment(fragment, namespace, source)) return false;
+        editHistory.push(snapshot);
+        updateGuidelinePosition();
+        drawWidget();
+        if (options.onChange) {
+            options.onChange(distributions);
         }
+        events.emit('restore', { source, ...getEventState() });
+        emitViewChanges(before);
+        return true;
     }
 
     /**
-     * Initialize URL state management
+     * Initialize state from the URL, else the autosave, else defaults,
+     * and listen for URL changes
      */
-    function initializeUrlState() {
-        if (!enableUrlState) return;
-
-        // Try to restore state from URL on page load
-        const restored = parseUrlState();
+    function initializeState() {
+        // Try to restore state from URL on page load, then from the last autosave
+        const autosaved = forecastStore && forecastStore.getAutosave();
+        const restored = parseUrlState() || Boolean(autosaved && applyStateFragment(autosaved.fragment, undefined, 'autosave'));
         
         if (!restored) {
-            // If no URL state, initialize with default distributions
+            // If no saved state, initialize with default distributions
             initializeDefaultDistributions();
         }
 
@@ -323,33 +395,86 @@ export function createInteractiveWidget(containerId, options) {
             updateGuidelinePosition();
         };
 
+        if (!enableUrlState) return;
+
         // Listen for hash changes (for older browsers)
-        window.addEventListener('hashchange', () => {
-            const restored = parseUrlState();
-            if (restored) {
-                updateGuidelinePosition();
-                drawWidget();
-                if (options.onChange) {
-                    options.onChange(distributions);
-                }
-            }
+        listen(window, 'hashchange', () => {
+            // Ignore changes to other widgets' keys and unrelated parameters
+            const fragment = window.location.hash.substring(1);
+            if (extractUrlState(fragment, urlNamespace) === lastUrlState) return;
+            lastUrlState = extractUrlState(fragment, urlNamespace);
+            loadStateFragment(fragment, urlNamespace, 'url');
         });
     }
 
+    /**
+     * Default values for a series: a ramp rising towards the tail bin
+     */
+    function createDefaultValues() {
+        return Array(numPeriods).fill(0).map((_, i) => 0.2 + (0.8 * i / (numPeriods - 1)));
+    }
+
     /**
      * Initialize default distributions (used when no URL state exists)
      */
     function initializeDefaultDistributions() {
-        const colors = ['blue', 'green', 'red', 'purple', 'orange', 'yellow'];
-        colors.forEach((color, index) => {
-            const initialValues = Array(numPeriods).fill(0).map((_, i) => 0.2 + (0.8 * i / (numPeriods - 1)));
+        series.forEach((entry, index) => {
+            const initialValues = createDefaultValues();
             distributions.push({
-                color: color,
+                ...entry,
                 values: initialValues
             });
             // Store original values
             originalValues[index] = [...initialValues];
         });
+        appendReadOnlyDistributions();
+        readOnlySeries.forEach((_, i) => {
+            originalValues[series.length + i] = [...distributions[series.length + i].values];
+        });
+    }
+
+    /**
+     * Add the reference series and the aggregate after the editable ones, with the active
+     * distribution's mass
+     */
+    function appendReadOnlyDistributions() {
+        const activeMass = distributions[activeDistributionIndex].values.reduce((sum, val) => sum + val, 0);
+        references.forEach(({ id, name, color, probabilities }) => {
+            distributions.push({
+                id,
+                name,
+                color,
+                readOnly: true,
+                values: probabilities.map(probability => Math.max(FLOOR_PROBABILITY_EPSILON, probability * activeMass))
+            });
+        });
+        if (aggregateSeries) {
+            const { id, name, color } = aggregateSeries;
+            distributions.push({ id, name, color, readOnly: true, derived: true, values: createDefaultValues() });
+            updateAggregate();
+        }
+    }
+
+    /**
+     * Recompute the aggregate from the visible distributions, with the active distribution's mass
+     */
+    function updateAggregate() {
+        if (!aggregateSeries) return;
+        const aggregateIndex = distributions.length - 1;
+        // The active distribution is always shown, even before the visibility is set up
+        const inputs = distributions.slice(0, aggregateIndex)
+            .filter((_, index) => visibilityState[index] || index === activeDistributionIndex);
+        const weights = inputs.map(dist => (aggregateWeights[dist.id] === undefined ? 1 : aggregateWeights[dist.id]));
+        // Fall back to equal weights when every visible distribution has weight 0
+        const probabilities = aggregateDistributions(
+            aggregateMethod,
+            inputs.map(dist => dist.values),
+            weights.some(weight => weight > 0) ? weights : undefined
+        );
+        const activeMass = distributions[activeDistributionIndex].values.reduce((sum, val) => sum + val, 0);
+        distributions[aggregateIndex].values = probabilities.map(probability => (
+            Math.max(FLOOR_PROBABILITY_EPSILON, probability * activeMass)
+        ));
     }
 
     /**
@@ -357,10 +482,13 @@ export function createInteractiveWidget(containerId, options) {
      */
     let urlUpdateTimeout = null;
     function debouncedUrlUpdate() {
+        // Nothing is written for a destroyed widget
+        if (isDestroyed) return;
         if (urlUpdateTimeout) {
             clearTimeout(urlUpdateTimeout);
         }
         urlUpdateTimeout = setTimeout(() => {
+            urlUpdateTimeout = null;
             serializeStateToUrl();
         }, 500); // Update URL 500ms after last change
     }
@@ -400,55 +528,20 @@ export function createInteractiveWidget(containerId, options) {
 
     // Also listen for window resize events as a fallback
     const resizeHandler = () => updateDimensions();
-    window.addEventListener('resize', resizeHandler);
-
-    // Color schemes for different distributions
-    const colorSchemes = {
-        blue: {
-            primary: '#007bff',
-            gradientStart: 'rgba(0, 123, 255, 0.3)',
-            gradientEnd: 'rgba(0, 123, 255, 0.1)',
-            stroke: '#007bff'
-        },
-        green: {
-            primary: '#28a745',
-            gradientStart: 'rgba(40, 167, 69, 0.3)',
-            gradientEnd: 'rgba(40, 167, 69, 0.1)',
-            stroke: '#28a745'
-        },
-        red: {
-            primary: '#dc3545',
-            gradientStart: 'rgba(220, 53, 69, 0.3)',
-            gradientEnd: 'rgba(220, 53, 69, 0.1)',
-            stroke: '#dc3545'
-        },
-        purple: {
-            primary: '#6f42c1',
-            gradientStart: 'rgba(111, 66, 193, 0.3)',
-            gradientEnd: 'rgba(111, 66, 193, 0.1)',
-            stroke: '#6f42c1'
-        },
-        orange: {
-            primary: '#fd7e14',
-            gradientStart: 'rgba(253, 126, 20, 0.3)',
-            gradientEnd: 'rgba(253, 126, 20, 0.1)',
-            stroke: '#fd7e14'
-        },
-        yellow: {
-            primary: '#ffc107',
-            gradientStart: 'rgba(255, 193, 7, 0.3)',
-            gradientEnd: 'rgba(255, 193, 7, 0.1)',
-            stroke: '#ffc107'
-        }
-    };
+    listen(window, 'resize', resizeHandler);
 
     /**
      * Initialize visibility state for distributions
      */
     function initializeVisibilityState() {
         distributions.forEach((distribution, index) => {
-            // Default to not visible (except active distribution)
-            visibilityState[index] = index === activeDistributionIndex;
+            // Keep visibility restored from the URL; default to not visible (except active distribution,
+            // references and the aggregate)
+            if (visibilityState[index] === undefined) {
+                visibilityState[index] = distribution.readOnly
+                    ? readOnlySeries[index - series.length].visible
+                    : index === activeDistributionIndex;
+            }
         });
     }
 
@@ -468,6 +561,87 @@ export function createInteractiveWidget(containerId, options) {
         return { periodIndex: clampedPeriodIndex, probability: clampedProbability };
     }
 
+    /**
+     * Set one point of the working CDF while drawing in cumulative view
+     * Neighbouring points are clamped so the curve stays monotone, and the
+     * edited CDF is converted back to per-bin mass, scaled so the peak keeps
+     * the height it had when the stroke started
+     */
+    function applyCumulativePoint(periodIndex, probability) {
+        // The tail bin closes the distribution, so the CDF always ends at 100%
+        if (periodIndex === numPeriods - 1 || isPinned(periodIndex)) return;
+
+        cumulativeStroke.cdf = setCumulativePoint(cumulativeStroke.cdf, periodIndex, probability);
+        const { cdf, peak, startValues } = cumulativeStroke;
+        const masses = cumulativeToMass(cdf, peak);
+        const values = distributions[activeDistributionIndex].values;
+        for (let i = 0; i < numPeriods; i++) {
+            // Pinned bins keep the mass they had when the stroke started
+            values[i] = isPinned(i) ? startValues[i] : Math.max(FLOOR_PROBABILITY_EPSILON, masses[i]);
+        }
+    }
+
+    /**
+     * Apply one point of a drawing stroke to the active distribution
+     */
+    function applyStrokePoint(periodIndex, probability) {
+        if (viewMode === 'density' && isPinned(periodIndex)) return;
+        if (viewMode === 'cumulative') {
+            applyCumulativePoint(periodIndex, probability);
+        } else {
+            distributions[activeDistributionIndex].values[periodIndex] = probability;
+        }
+        // Mark this distribution as user-modified
+        userModifiedValues[activeDistributionIndex] = true;
+    }
+
+    /**
+     * Apply one point of a pointer stroke with the selected tool
+     * Tools other than freehand drawing edit per-bin mass, so they only apply in the density view
+     */
+    function applyToolPoint(periodIndex, probability) {
+        if (tool === 'pin' || tool === 'unpin') {
+            setPinned(distributions[activeDistributionIndex].id, periodIndex, tool === 'pin');
+            return;
+        }
+        if (viewMode === 'cumulative' || tool === 'draw') {
+            applyStrokePoint(periodIndex, probability);
+            return;
+        }
+
+        const values = distributions[activeDistributionIndex].values;
+        const tailIndex = numPeriods - 1;
+        // Remember pinned values so that brushes spilling over them can be undone
+        const pinnedValues = values.map((val, i) => (isPinned(i) ? val : null));
+        if (tool === 'erase') {
+            values[periodIndex] = FLOOR_PROBABILITY_EPSILON;
+        } else if (tool === 'flatten') {
+            values[periodIndex] = flattenLevel;
+        } else if (tool === 'smooth') {
+            // Blend each bin within the brush towards the mean of its neighbours (the tail bin is left alone)
+            const radius = Math.max(1, Math.round(brushWidth));
+            const current = [...values];
+            for (let i = Math.max(0, periodIndex - radius); i <= Math.min(tailIndex - 1, periodIndex + radius); i++) {
+                const left = current[Math.max(0, i - 1)];
+                const right = current[Math.min(tailIndex - 1, i + 1)];
+                values[i] = 0.8 * current[i] + 0.2 * (left + current[i] + right) / 3;
+            }
+        } else if (tool === 'stamp' && periodIndex < tailIndex) {
+            // Add a Gaussian bump whose peak reaches the pointer
+            const amplitude = Math.max(0, probability - values[periodIndex]);
+            const reach = Math.ceil(3 * brushWidth);
+            for (let i = Math.max(0, periodIndex - reach); i <= Math.min(tailIndex - 1, periodIndex + reach); i++) {
+                const distance = (i - periodIndex) / brushWidth;
+                values[i] = Math.min(1, values[i] + amplitude * Math.exp(-0.5 * distance * distance));
+            }
+        }
+        pinnedValues.forEach((val, i) => {
+            if (val !== null) values[i] = val;
+        });
+        // Mark this distribution as user-modified
+        userModifiedValues[activeDistributionIndex] = true;
+    }
+
     /**
      * Convert period index and probability to canvas coordinates
      */
@@ -481,73 +655,342 @@ export function createInteractiveWidget(containerId, options) {
      * Draw the complete widget
      */
     function drawWidget() {
+        // Late timers and observer callbacks after destroy() have nothing to draw on
+        if (isDestroyed) return;
+
         // Clear canvas
         ctx.fillStyle = '#f8f9fa';
         ctx.fillRect(0, 0, widgetWidth, heightPixels);
 
+        // Follow the distributions and their visibility in the aggregate
+        updateAggregate();
+
         // Update second highest peak guideline before drawing
         updateSecondHighestPeakGuideline();
 
         drawGrid();
         drawAxisLabels();
+        drawPinnedBins();
         drawAllDistributions();
+        if (isExporting) return;
+        if (hasKeyboardFocus) {
+            drawKeyboardCursor();
+        }
+        if (hoverPeriodIndex !== null) {
+            drawHoverCrosshair();
+            updateTooltipContent();
+        }
+
+        scheduleDataTableUpdate();
     }
 
     /**
-     * Calculate the normalized peak value for a distribution
+     * Shade the pinned bins of the active distribution, with a bar under each pinned range
      */
-    function calculateNormalizedPeak(distribution) {
-        const distributionSum = distribution.values.reduce((sum, prob) => sum + prob, 0);
-        const normalizationFactor = distributionSum > 0 ? 100 / (distributionSum) : 0;
-        return Math.max(...distribution.values) * normalizationFactor;
+    function drawPinnedBins() {
+        const activeDist = distributions[activeDistributionIndex];
+        const pins = activeDist && pinnedBins[activeDist.id];
+        if (!pins) return;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(padding, padding, plotWidth, plotHeight);
+        ctx.clip();
+        pins.forEach(periodIndex => {
+            const x = padding + (periodIndex - 0.5) * periodStep;
+            ctx.fillStyle = 'rgba(108, 117, 125, 0.15)';
+            ctx.fillRect(x, padding, periodStep, plotHeight);
+            ctx.fillStyle = '#6c757d';
+            ctx.fillRect(x, heightPixels - padding - 4, periodStep, 4);
+        });
+        ctx.restore();
     }
 
     /**
-     * Auto-scale distribution to fit within visible area when switching
+     * Vertical crosshair at the hovered bin, with a marker on each visible curve
      */
-    function autoScaleDistribution(distributionIndex) {
-        if (distributionIndex < 0 || distributionIndex >= distributions.length) {
+    function drawHoverCrosshair() {
+        const x = padding + hoverPeriodIndex * periodStep;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(44, 62, 80, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, padding);
+        ctx.lineTo(x, heightPixels - padding);
+        ctx.stroke();
+
+        distributions.forEach((distribution, index) => {
+            if (!visibilityState[index]) return;
+            const isActive = index === activeDistributionIndex;
+            const plotValues = viewMode === 'cumulative'
+                ? toCumulative(distribution.values)
+                : distribution.values;
+            const { y } = dataToCanvas(hoverPeriodIndex, plotValues[hoverPeriodIndex]);
+
+            // The drawing's marker is larger and outlined
+            ctx.fillStyle = isActive ? distribution.color : hexToRgba(distribution.color, 0.6);
+            ctx.beginPath();
+            ctx.arc(x, y, isActive ? 5 : 3.5, 0, 2 * Math.PI);
+            ctx.fill();
+            if (isActive) {
+                ctx.strokeStyle = '#2c3e50';
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Fill the tooltip with the hovered bin and each visible distribution's values
+     */
+    function updateTooltipContent() {
+        tooltip.innerHTML = '';
+
+        const heading = document.createElement('div');
+        heading.textContent = timeAxis.formatPeriod(hoverPeriodIndex);
+        heading.style.fontWeight = 'bold';
+        heading.style.marginBottom = '4px';
+        tooltip.appendChild(heading);
+
+        distributions.forEach((distribution, index) => {
+            if (!visibilityState[index]) return;
+            const isActive = index === activeDistributionIndex;
+            const cumulative = toCumulative(distribution.values);
+            const probability = cumulative[hoverPeriodIndex] - (hoverPeriodIndex > 0 ? cumulative[hoverPeriodIndex - 1] : 0);
+
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '6px';
+            row.style.fontWeight = isActive ? 'bold' : 'normal';
+
+            const swatch = document.createElement('span');
+            swatch.style.display = 'inline-block';
+            swatch.style.width = '10px';
+            swatch.style.height = '10px';
+            swatch.style.borderRadius = '2px';
+            swatch.style.backgroundColor = distribution.color;
+
+            const text = document.createElement('span');
+            text.textContent = `${distribution.name}${isActive ? ' (drawing)' : ''}: `
+                + `${(probability * 100).toFixed(1)}% · ${(cumulative[hoverPeriodIndex] * 100).toFixed(1)}% by then`;
+
+            row.appendChild(swatch);
+            row.appendChild(text);
+            tooltip.appendChild(row);
+        });
+    }
+
+    /**
+     * Track the bin under the pointer and move the tooltip next to it
+     */
+    function updateHover(x, y, clientX, clientY) {
+        const insidePlot = x >= padding - periodStep / 2 && x <= widgetWidth - padding + periodStep / 2
+            && y >= padding && y <= heightPixels - padding;
+        if (!insidePlot || isDraggingGuideline) {
+            clearHover();
             return;
         }
-        
-        const distribution = distributions[distributionIndex];
-        const maxValue = Math.max(...distribution.values);
-        
-        if (maxValue <= 0) {
-            return; // No scaling needed for empty distribution
-        }
-        
-        // Calculate the maximum visible height (allow distribution to go to ceiling)
-        const maxVisibleHeight = plotHeight;
-        const maxVisibleProbability = maxVisibleHeight / plotHeight;
-        
-        // If the distribution is too tall, scale it down
-        if (maxValue > maxVisibleProbability) {
-            const scaleFactor = maxVisibleProbability / maxValue;
-            guidelineScaleFactor = scaleFactor;
-            
-            // Apply scaling to all distributions
-            distributions.forEach((dist, index) => {
-                for (let i = 0; i < dist.values.length; i++) {
-                    dist.values[i] *= scaleFactor;
-                }
-            });
-            
-            // Update guideline position to match the new scale
-            guidelineY = padding + (1 - maxVisibleProbability) * plotHeight;
-            guidelineManuallySet = false; // Allow automatic positioning
-        } else {
-            // If distribution fits, reset to original scale
-            guidelineScaleFactor = 1.0;
-            guidelineManuallySet = false;
+
+        const { periodIndex } = canvasToData(x, y);
+        const changed = periodIndex !== hoverPeriodIndex;
+        hoverPeriodIndex = periodIndex;
+        tooltip.style.display = 'block';
+        if (changed && !isDrawing) {
+            drawWidget();
+        } else if (changed) {
+            updateTooltipContent();
         }
+
+        // Keep the tooltip inside the window
+        const offset = 14;
+        const left = clientX + offset + tooltip.offsetWidth > window.innerWidth
+            ? clientX - offset - tooltip.offsetWidth
+            : clientX + offset;
+        tooltip.style.left = `${left}px`;
+        tooltip.style.top = `${clientY + offset}px`;
+    }
+
+    function clearHover() {
+        if (hoverPeriodIndex === null) return;
+        hoverPeriodIndex = null;
+        tooltip.style.display = 'none';
+        drawWidget();
     }
 
     /**
-     * Update guideline position based on active distribution
+     * Rebuild the accessible table of per-bin probabilities for the visible distributions
      */
-    function updateGuidelinePosition() {
-        if (activeDistributionIndex >= 0 && activeDistributionIndex < distributions.length) {
+    function updateDataTable() {
+        dataTable.innerHTML = '';
+        const visible = distributions.filter((_, index) => visibilityState[index] === true);
+        const probabilities = visible.map(dist => {
+            const totalMass = dist.values.reduce((sum, val) => sum + val, 0);
+            return dist.values.map(val => (totalMass > 0 ? val / totalMass : 0));
+        });
+
+        // Singular bin name, e.g. 'Quarter'
+        const periodName = timeAxis.periodUnit.replace(/s$/, '');
+
+        const caption = document.createElement('caption');
+        caption.textContent = `Probability of AGI per ${periodName.toLowerCase()} (percent)`;
+        dataTable.appendChild(caption);
+
+        const headerRow = document.createElement('tr');
+        const corner = document.createElement('th');
+        corner.scope = 'col';
+        corner.textContent = periodName;
+        headerRow.appendChild(corner);
+        visible.forEach(dist => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = dist === distributions[activeDistributionIndex] ? `${dist.name} (drawing)` : dist.name;
+            headerRow.appendChild(th);
+        });
+        dataTable.appendChild(headerRow);
+
+        for (let i = 0; i < numPeriods; i++) {
+            const tr = document.createElement('tr');
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = timeAxis.formatPeriod(i);
+            tr.appendChild(th);
+            probabilities.forEach(values => {
+                const td = document.createElement('td');
+                td.textContent = `${(values[i] * 100).toFixed(1)}%`;
+                tr.appendChild(td);
+            });
+            dataTable.appendChild(tr);
+        }
+    }
+
+    /**
+     * Keep the data table in sync without rebuilding it on every pointer move
+     */
+    let dataTableTimeout = null;
+    function scheduleDataTableUpdate() {
+        if (dataTableTimeout) {
+            clearTimeout(dataTableTimeout);
+        }
+        dataTableTimeout = setTimeout(() => {
+            dataTableTimeout = null;
+            updateDataTable();
+        }, 300);
+    }
+
+    /**
+     * Announce the selected bin of the active distribution
+     */
+    function announceSelectedBin() {
+        const activeDist = distributions[activeDistributionIndex];
+        const totalMass = activeDist.values.reduce((sum, val) => sum + val, 0);
+        const probability = totalMass > 0 ? activeDist.values[keyboardCursor] / totalMass : 0;
+        let message = `${activeDist.name}, ${timeAxis.formatPeriod(keyboardCursor)}: ${(probability * 100).toFixed(1)}%`;
+        if (viewMode === 'cumulative') {
+            const cumulative = toCumulative(activeDist.values)[keyboardCursor];
+            message += `, ${(cumulative * 100).toFixed(1)}% by then`;
+        }
+        if (isPinned(keyboardCursor)) {
+            message += ', pinned';
+        }
+        statusRegion.announce(message);
+    }
+
+    /**
+     * Highlight the bin selected for keyboard editing
+     */
+    function drawKeyboardCursor() {
+        const activeDist = distributions[activeDistributionIndex];
+        if (!activeDist) return;
+        const plotValues = viewMode === 'cumulative'
+            ? toCumulative(activeDist.values)
+            : activeDist.values;
+        const { x, y } = dataToCanvas(keyboardCursor, plotValues[keyboardCursor]);
+
+        ctx.save();
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, padding);
+        ctx.lineTo(x, heightPixels - padding);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = activeDist.color;
+        ctx.strokeStyle = '#2c3e50';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+
+        // Label the selected bin above the plot
+        ctx.fillStyle = '#2c3e50';
+        ctx.font = 'bold 12px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(timeAxis.formatPeriod(keyboardCursor), x, padding - 8);
+        ctx.restore();
+    }
+
+    /**
+     * Calculate the normalized peak value for a distribution
+     */
+    function calculateNormalizedPeak(distribution) {
+        const distributionSum = distribution.values.reduce((sum, prob) => sum + prob, 0);
+        const normalizationFactor = distributionSum > 0 ? 100 / (distributionSum) : 0;
+        return Math.max(...distribution.values) * normalizationFactor;
+    }
+
+    /**
+     * Auto-scale distribution to fit within visible area when switching
+     * (callers report the new scale with emitViewChanges)
+     */
+    function autoScaleDistribution(distributionIndex) {
+        if (distributionIndex < 0 || distributionIndex >= distributions.length) {
+            return;
+        }
+        
+        const distribution = distributions[distributionIndex];
+        const maxValue = Math.max(...distribution.values);
+        
+        if (maxValue <= 0) {
+            return; // No scaling needed for empty distribution
+        }
+        
+        // Calculate the maximum visible height (allow distribution to go to ceiling)
+        const maxVisibleHeight = plotHeight;
+        const maxVisibleProbability = maxVisibleHeight / plotHeight;
+        
+        // If the distribution is too tall, scale it down
+        if (maxValue > maxVisibleProbability) {
+            const scaleFactor = maxVisibleProbability / maxValue;
+            guidelineScaleFactor = scaleFactor;
+            
+            // Apply scaling to all distributions
+            distributions.forEach((dist, index) => {
+                for (let i = 0; i < dist.values.length; i++) {
+                    dist.values[i] *= scaleFactor;
+                }
+            });
+            
+            // Update guideline position to match the new scale
+            guidelineY = padding + (1 - maxVisibleProbability) * plotHeight;
+            guidelineManuallySet = false; // Allow automatic positioning
+        } else {
+            // If distribution fits, reset to original scale
+            guidelineScaleFactor = 1.0;
+            guidelineManuallySet = false;
+        }
+    }
+
+    /**
+     * Update guideline position based on active distribution
+     */
+    function updateGuidelinePosition() {
+        if (activeDistributionIndex >= 0 && activeDistributionIndex < distributions.length) {
             const activeDist = distributions[activeDistributionIndex];
             // Use current values to follow the actual peak, not original values
             const maxValue = Math.max(...activeDist.values);
@@ -652,8 +1095,13 @@ export function createInteractiveWidget(containerId, options) {
         ctx.rect(padding, padding, plotWidth, plotHeight);
         ctx.stroke();
 
+        // Cumulative view has a fixed 0-100% scale instead of the peak guidelines
+        if (viewMode === 'cumulative') {
+            drawCumulativeGridlines();
+        }
+
         // Draw horizontal percentage guideline for the active distribution
-        if (activeDistributionIndex >= 0 && activeDistributionIndex < distributions.length) {
+        if (viewMode === 'density' && activeDistributionIndex >= 0 && activeDistributionIndex < distributions.length) {
             const activeDist = distributions[activeDistributionIndex];
             const totalMass = activeDist.values.reduce((sum, val) => sum + val, 0);
             
@@ -666,9 +1114,8 @@ export function createInteractiveWidget(containerId, options) {
                     const currentY = guidelineY;
                     
                     // Draw horizontal guideline with visual feedback for dragging
-                    const activeColorScheme = colorSchemes[activeDist.color];
                     if (isDraggingGuideline) {
-                        ctx.strokeStyle = activeColorScheme.stroke; // Use active distribution color when dragging
+                        ctx.strokeStyle = activeDist.color; // Use active distribution color when dragging
                         ctx.lineWidth = 2;
                     } else {
                         ctx.strokeStyle = '#adb5bd'; // Lighter gray when not dragging (same as secondary guideline)
@@ -694,7 +1141,7 @@ export function createInteractiveWidget(containerId, options) {
                     const currentPercentage = calculateNormalizedPeak(activeDist);
                     
                     // Draw the percentage label on the left with interactive styling
-                    ctx.fillStyle = isDraggingGuideline ? activeColorScheme.stroke : '#495057';
+                    ctx.fillStyle = isDraggingGuideline ? activeDist.color : '#495057';
                     ctx.font = '12px -apple-system, BlinkMacSystemFont, sans-serif';
                     ctx.textAlign = 'center';
                     ctx.textBaseline = 'middle';
@@ -709,23 +1156,19 @@ export function createInteractiveWidget(containerId, options) {
                     
                     // Draw background rectangle with active distribution color when dragging
                     if (isDraggingGuideline) {
-                        const hex = activeColorScheme.stroke.replace('#', '');
-                        const r = parseInt(hex.substr(0, 2), 16);
-                        const g = parseInt(hex.substr(2, 2), 16);
-                        const b = parseInt(hex.substr(4, 2), 16);
-                        ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.1)`;
+                        ctx.fillStyle = hexToRgba(activeDist.color, 0.1);
                     } else {
                         ctx.fillStyle = 'rgba(73, 80, 87, 0.1)';
                     }
                     ctx.fillRect(labelX, labelY, labelWidth, labelHeight);
                     
                     // Draw border
-                    ctx.strokeStyle = isDraggingGuideline ? activeColorScheme.stroke : '#495057';
+                    ctx.strokeStyle = isDraggingGuideline ? activeDist.color : '#495057';
                     ctx.lineWidth = 1;
                     ctx.strokeRect(labelX, labelY, labelWidth, labelHeight);
                     
                     // Draw text
-                    ctx.fillStyle = isDraggingGuideline ? activeColorScheme.stroke : '#495057';
+                    ctx.fillStyle = isDraggingGuideline ? activeDist.color : '#495057';
                     ctx.fillText(labelText, labelX + labelWidth/2, currentY);
                 }
             }
@@ -740,27 +1183,12 @@ export function createInteractiveWidget(containerId, options) {
             
             if (totalMass > 0) {
                 // Calculate the median (point where cumulative probability reaches 50% of total mass)
-                const targetMass = totalMass / 2;
-                let cumulativeMass = 0;
-                let medianIndex = 0;
-                
-                for (let i = 0; i < distribution.values.length; i++) {
-                    cumulativeMass += distribution.values[i];
-                    if (cumulativeMass >= targetMass) {
-                        medianIndex = i;
-                        break;
-                    }
-                }
+                const medianIndex = findQuantileIndex(distribution.values, 0.5);
                 
                 const medianX = dataToCanvas(medianIndex, 0).x;
-                const colorScheme = colorSchemes[distribution.color];
 
                 // Draw vertical guideline with distribution color (slightly transparent)
-                const hex = colorScheme.stroke.replace('#', '');
-                const r = parseInt(hex.substr(0, 2), 16);
-                const g = parseInt(hex.substr(2, 2), 16);
-                const b = parseInt(hex.substr(4, 2), 16);
-                ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.7)`; // 70% opacity
+                ctx.strokeStyle = hexToRgba(distribution.color, 0.7); // 70% opacity
                 ctx.lineWidth = 1;
                 ctx.setLineDash([5, 5]); // Dashed line
                 ctx.beginPath();
@@ -769,20 +1197,20 @@ export function createInteractiveWidget(containerId, options) {
                 ctx.stroke();
                 ctx.setLineDash([]); // Reset to solid lines
 
-                // Get quarter name components
-                const year = startYear + Math.floor(medianIndex / 4);
-                const quarter = (medianIndex % 4) + 1;
+                // Get period name components
+                const year = timeAxis.getPeriodYear(medianIndex);
+                const subPeriod = timeAxis.getSubPeriodLabel(medianIndex);
                 const yearDigits = year.toString().slice(-2);
 
                 // Draw median quarter name on top with distribution color
-                ctx.fillStyle = colorScheme.stroke;
+                ctx.fillStyle = distribution.color;
                 ctx.font = `${Math.round(12 * getPortraitOrientation())}px -apple-system, BlinkMacSystemFont, sans-serif`;
                 ctx.textAlign = 'center';
                 ctx.textBaseline = 'bottom';
                 
                 // Draw year line with proper alignment
                 const yearLineY = padding - 10;
-                const quarterLineY = yearLineY - 14;
+                const subPeriodLineY = yearLineY - 14;
                 
                 // Draw apostrophe and year digits separately for better alignment
                 const apostrophe = '\u2019';
@@ -800,9 +1228,11 @@ export function createInteractiveWidget(containerId, options) {
                 // Draw year digits (right-aligned within the centered group)
                 ctx.fillText(yearText, medianX + totalYearWidth / 2 - yearWidth, yearLineY);
                 
-                // Draw quarter line
+                // Draw sub-period line (none for yearly bins)
                 ctx.textAlign = 'center';
-                ctx.fillText(`Q${quarter}`, medianX, quarterLineY);
+                if (subPeriod) {
+                    ctx.fillText(subPeriod, medianX, subPeriodLineY);
+                }
             }
         });
 
@@ -813,38 +1243,41 @@ export function createInteractiveWidget(containerId, options) {
         ctx.textBaseline = 'bottom';
         ctx.fillText('Medians', widgetWidth / 2, padding - 35);
 
-        // Draw the ε% label at the bottom left, but hide it when horizontal guideline is at visual floor
-        // or when y-axis has been dragged to the visual floor
-        const isAtVisualFloor = activeDistributionIndex >= 0 && 
-                               activeDistributionIndex < distributions.length && 
-                               distributions[activeDistributionIndex].values.reduce((sum, val) => sum + val, 0) > 0;
+        // Draw the ε% label (density view only)
+        if (viewMode === 'density') {
+            // Draw the ε% label at the bottom left, but hide it when horizontal guideline is at visual floor
+            // or when y-axis has been dragged to the visual floor
+            const isAtVisualFloor = activeDistributionIndex >= 0 && 
+                                   activeDistributionIndex < distributions.length && 
+                                   distributions[activeDistributionIndex].values.reduce((sum, val) => sum + val, 0) > 0;
         
-        if (isAtVisualFloor) {
-            const activeDist = distributions[activeDistributionIndex];
-            const maxValue = Math.max(...activeDist.values);
-            const isGuidelineAtFloor = Math.abs(maxValue - FLOOR_PROBABILITY_EPSILON) < 1e-10;
+            if (isAtVisualFloor) {
+                const activeDist = distributions[activeDistributionIndex];
+                const maxValue = Math.max(...activeDist.values);
+                const isGuidelineAtFloor = Math.abs(maxValue - FLOOR_PROBABILITY_EPSILON) < 1e-10;
             
-            // Check if y-axis has been dragged to visual floor (scale factor is very small)
-            const isYAxisAtVisualFloor = guidelineScaleFactor < 0.1; // Threshold for visual floor
+                // Check if y-axis has been dragged to visual floor (scale factor is very small)
+                const isYAxisAtVisualFloor = guidelineScaleFactor < 0.1; // Threshold for visual floor
             
-            if (!isGuidelineAtFloor && !isYAxisAtVisualFloor) {
+                if (!isGuidelineAtFloor && !isYAxisAtVisualFloor) {
+                    ctx.fillStyle = '#495057';
+                    ctx.font = '12px -apple-system, BlinkMacSystemFont, sans-serif';
+                    ctx.textAlign = 'right';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText('ε%', padding - 10, heightPixels - padding);
+                }
+            } else {
+                // Show epsilon label when no active distribution or no mass
                 ctx.fillStyle = '#495057';
                 ctx.font = '12px -apple-system, BlinkMacSystemFont, sans-serif';
                 ctx.textAlign = 'right';
                 ctx.textBaseline = 'middle';
                 ctx.fillText('ε%', padding - 10, heightPixels - padding);
             }
-        } else {
-            // Show epsilon label when no active distribution or no mass
-            ctx.fillStyle = '#495057';
-            ctx.font = '12px -apple-system, BlinkMacSystemFont, sans-serif';
-            ctx.textAlign = 'right';
-            ctx.textBaseline = 'middle';
-            ctx.fillText('ε%', padding - 10, heightPixels - padding);
         }
 
         // Draw second highest distribution's peak guideline (non-draggable)
-        if (secondHighestPeakY > 0 && secondHighestPeakPercentage > 0) {
+        if (viewMode === 'density' && secondHighestPeakY > 0 && secondHighestPeakPercentage > 0) {
             // Draw horizontal guideline for second highest peak
             ctx.strokeStyle = '#adb5bd'; // Lighter gray color for non-draggable guideline
             ctx.lineWidth = 1;
@@ -879,6 +1312,31 @@ export function createInteractiveWidget(containerId, options) {
         }
     }
 
+    /**
+     * Draw percentage gridlines for the cumulative view
+     */
+    function drawCumulativeGridlines() {
+        [0.25, 0.5, 0.75].forEach(level => {
+            const y = dataToCanvas(0, level).y;
+            ctx.strokeStyle = '#dee2e6';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(padding, y);
+            ctx.lineTo(widgetWidth - padding, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+
+        ctx.fillStyle = '#495057';
+        ctx.font = '12px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [0, 0.25, 0.5, 0.75, 1].forEach(level => {
+            ctx.fillText(`${Math.round(level * 100)}%`, padding - 10, dataToCanvas(0, level).y);
+        });
+    }
+
     /**
      * Draw axis labels
      */
@@ -903,14 +1361,14 @@ export function createInteractiveWidget(containerId, options) {
                 // Final year label goes at the very end
                 x = padding + (numPeriods - 1) * periodStep;
             } else {
-                // Other years go at the start of each year (every 4 quarters)
-                x = padding + i * 4 * periodStep;
+                // Other years go at the start of each year
+                x = padding + i * binsPerYear * periodStep;
             }
             const year = startYear + i;
             
             if (i === numYears - 1) {
                 // Multi-line label for the rightmost bin
-                const lines = [">2039", "or AGI never"];
+                const lines = timeAxis.tailLabel;
                 const lineHeight = 14;
                 const baseY = heightPixels - padding / 2 - 18; // Align with other labels
                 
@@ -933,7 +1391,7 @@ export function createInteractiveWidget(containerId, options) {
         ctx.font = 'bold 16px -apple-system, BlinkMacSystemFont, sans-serif';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        ctx.fillText('Quarters', widgetWidth / 2, heightPixels - padding / 2 + 7);
+        ctx.fillText(timeAxis.periodUnit, widgetWidth / 2, heightPixels - padding / 2 + 7);
 
         // Y-axis title
         ctx.save();
@@ -943,7 +1401,7 @@ export function createInteractiveWidget(containerId, options) {
         ctx.font = 'bold 16px -apple-system, BlinkMacSystemFont, sans-serif';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText('AGI Invented In', 0, 0);
+        ctx.fillText(viewMode === 'cumulative' ? 'AGI Invented By' : 'AGI Invented In', 0, 0);
         ctx.restore();
     }
 
@@ -970,8 +1428,10 @@ export function createInteractiveWidget(containerId, options) {
      * Draw a single distribution
      */
     function drawSingleDistribution(distribution, isActive) {
-        const colorScheme = colorSchemes[distribution.color];
-        if (!colorScheme) return;
+        // Plot per-bin mass, or the normalized CDF in cumulative view
+        const plotValues = viewMode === 'cumulative'
+            ? toCumulative(distribution.values)
+            : distribution.values;
 
         // Save the current context state
         ctx.save();
@@ -984,14 +1444,12 @@ export function createInteractiveWidget(containerId, options) {
         // Create gradient for the fill with reduced opacity for background distributions
         const gradient = ctx.createLinearGradient(padding, padding, padding, heightPixels - padding);
         if (isActive) {
-            gradient.addColorStop(0, colorScheme.gradientStart);
-            gradient.addColorStop(1, colorScheme.gradientEnd);
+            gradient.addColorStop(0, hexToRgba(distribution.color, 0.3));
+            gradient.addColorStop(1, hexToRgba(distribution.color, 0.1));
         } else {
             // Reduce opacity for background distributions
-            const backgroundGradientStart = colorScheme.gradientStart.replace('0.3)', '0.15)');
-            const backgroundGradientEnd = colorScheme.gradientEnd.replace('0.1)', '0.05)');
-            gradient.addColorStop(0, backgroundGradientStart);
-            gradient.addColorStop(1, backgroundGradientEnd);
+            gradient.addColorStop(0, hexToRgba(distribution.color, 0.15));
+            gradient.addColorStop(1, hexToRgba(distribution.color, 0.05));
         }
 
         // Draw the filled area under the curve
@@ -1003,7 +1461,7 @@ export function createInteractiveWidget(containerId, options) {
 
         // Draw the curve
         for (let i = 0; i < numPeriods; i++) {
-            const coords = dataToCanvas(i, distribution.values[i]);
+            const coords = dataToCanvas(i, plotValues[i]);
             ctx.lineTo(coords.x, coords.y);
         }
 
@@ -1014,23 +1472,28 @@ export function createInteractiveWidget(containerId, options) {
 
         // Draw the curve line on top with reduced opacity for background distributions
         if (isActive) {
-            ctx.strokeStyle = colorScheme.stroke;
+            ctx.strokeStyle = distribution.color;
+            ctx.lineWidth = 2;
+        } else if (distribution.derived) {
+            // Aggregate: dotted and slightly heavier, as a summary of the others
+            ctx.strokeStyle = distribution.color;
+            ctx.lineWidth = 2.5;
+            ctx.setLineDash([2, 3]);
+        } else if (distribution.readOnly) {
+            // References: dashed, at full color so they stand apart from the background series
+            ctx.strokeStyle = distribution.color;
             ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
         } else {
             // Reduce opacity for background distributions
-            // Convert hex to rgba with 50% opacity
-            const hex = colorScheme.stroke.replace('#', '');
-            const r = parseInt(hex.substr(0, 2), 16);
-            const g = parseInt(hex.substr(2, 2), 16);
-            const b = parseInt(hex.substr(4, 2), 16);
-            ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.5)`;
+            ctx.strokeStyle = hexToRgba(distribution.color, 0.5);
             ctx.lineWidth = 1.5;
         }
         
         ctx.beginPath();
 
         for (let i = 0; i < numPeriods; i++) {
-            const coords = dataToCanvas(i, distribution.values[i]);
+            const coords = dataToCanvas(i, plotValues[i]);
             if (i === 0) {
                 ctx.moveTo(coords.x, coords.y);
             } else {
@@ -1051,8 +1514,11 @@ export function createInteractiveWidget(containerId, options) {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
-        // Check if clicking near the guideline label
-        if (isNearGuidelineLabel(x, y)) {
+        // Both guideline drags and strokes can be undone
+        recordHistory();
+
+        // Check if clicking near the guideline label (density view only)
+        if (viewMode === 'density' && isNearGuidelineLabel(x, y)) {
             isDraggingGuideline = true;
             guidelineManuallySet = true; // Mark that user has manually positioned the guideline
             canvas.style.cursor = 'ns-resize';
@@ -1067,12 +1533,23 @@ export function createInteractiveWidget(containerId, options) {
 
         // Reset manual positioning when user starts drawing (they want guideline to follow peak)
         guidelineManuallySet = false;
+        // Pin strokes change which bins are pinned rather than their values
+        pinnedShareAtEditStart = tool === 'pin' || tool === 'unpin' ? null : getPinnedShare();
+
+        // Edit a working copy of the CDF in cumulative view
+        if (viewMode === 'cumulative') {
+            const values = distributions[activeDistributionIndex].values;
+            cumulativeStroke = {
+                cdf: toCumulative(values),
+                peak: Math.max(...values),
+                startValues: [...values]
+            };
+        }
 
         const { periodIndex, probability } = canvasToData(x, y);
-        distributions[activeDistributionIndex].values[periodIndex] = probability;
-        
-        // Mark this distribution as user-modified
-        userModifiedValues[activeDistributionIndex] = true;
+        // The flatten tool levels the stroke at its starting height
+        flattenLevel = probability;
+        applyToolPoint(periodIndex, probability);
         
         // Update guideline position to follow the new peak (only if not manually set)
         updateGuidelinePosition();
@@ -1082,6 +1559,7 @@ export function createInteractiveWidget(containerId, options) {
         if (options.onChange) {
             options.onChange(distributions);
         }
+        events.emit('change', { source: 'stroke', ...getEventState() });
         
         // Update URL state immediately for drawing start
         debouncedUrlUpdate();
@@ -1092,9 +1570,12 @@ export function createInteractiveWidget(containerId, options) {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
+        // Update the hover inspector
+        updateHover(x, y, e.clientX, e.clientY);
+
         // Update cursor based on hover state
         if (!isDraggingGuideline && !isDrawing) {
-            if (isNearGuidelineLabel(x, y)) {
+            if (viewMode === 'density' && isNearGuidelineLabel(x, y)) {
                 canvas.style.cursor = 'ns-resize';
             } else {
                 canvas.style.cursor = 'crosshair';
@@ -1103,36 +1584,7 @@ export function createInteractiveWidget(containerId, options) {
 
         // Handle guideline dragging
         if (isDraggingGuideline) {
-            // Allow guideline to be dragged to the visual ceiling (no minimum constraint)
-            const newY = Math.max(padding, Math.min(heightPixels - padding, y));
-            guidelineY = newY;
-            
-                            // Calculate new scale factor based on guideline position
-                if (activeDistributionIndex >= 0 && activeDistributionIndex < distributions.length) {
-                    const activeDist = distributions[activeDistributionIndex];
-                    const maxValue = Math.max(...activeDist.values);
-                    const currentProbability = 1 - ((newY - padding) / plotHeight);
-                    
-                    // Allow scale factor to go to floor probability epsilon (maintains minimum visibility)
-                    guidelineScaleFactor = Math.max(FLOOR_PROBABILITY_EPSILON, currentProbability / maxValue);
-                    
-                    // Apply scaling to all distributions based on their current values
-                    distributions.forEach((distribution, index) => {
-                        // Use current values for scaling (preserve user's work)
-                        const currentValues = [...distribution.values];
-                        for (let i = 0; i < distribution.values.length; i++) {
-                            distribution.values[i] = currentValues[i] * guidelineScaleFactor;
-                        }
-                    });
-                }
-            
-            drawWidget();
-            if (options.onChange) {
-                options.onChange(distributions);
-            }
-            
-            // Update URL state during guideline dragging
-            debouncedUrlUpdate();
+            moveGuidelineTo(y);
             return;
         }
 
@@ -1152,9 +1604,7 @@ export function createInteractiveWidget(containerId, options) {
                 const interpY = lastY + dy * t;
 
                 const { periodIndex, probability } = canvasToData(interpX, interpY);
-                distributions[activeDistributionIndex].values[periodIndex] = probability;
-                // Mark this distribution as user-modified
-                userModifiedValues[activeDistributionIndex] = true;
+                applyToolPoint(periodIndex, probability);
             }
 
             lastX = x;
@@ -1168,12 +1618,51 @@ export function createInteractiveWidget(containerId, options) {
             if (options.onChange) {
                 options.onChange(distributions);
             }
+            events.emit('change', { source: 'stroke', ...getEventState() });
             
             // Update URL state during drawing
             debouncedUrlUpdate();
         }
     }
 
+    /**
+     * Move the peak guideline to a canvas y position, scaling all distributions with it
+     */
+    function moveGuidelineTo(y) {
+        // Allow guideline to be dragged to the visual ceiling (no minimum constraint)
+        const newY = Math.max(padding, Math.min(heightPixels - padding, y));
+        guidelineY = newY;
+
+        // Calculate new scale factor based on guideline position
+        if (activeDistributionIndex >= 0 && activeDistributionIndex < distributions.length) {
+            const activeDist = distributions[activeDistributionIndex];
+            const maxValue = Math.max(...activeDist.values);
+            const currentProbability = 1 - ((newY - padding) / plotHeight);
+
+            // Allow scale factor to go to floor probability epsilon (maintains minimum visibility)
+            guidelineScaleFactor = Math.max(FLOOR_PROBABILITY_EPSILON, currentProbability / maxValue);
+
+            // Apply scaling to all distributions based on their current values
+            distributions.forEach((distribution) => {
+                // Use current values for scaling (preserve user's work)
+                const currentValues = [...distribution.values];
+                for (let i = 0; i < distribution.values.length; i++) {
+                    distribution.values[i] = currentValues[i] * guidelineScaleFactor;
+                }
+            });
+            events.emit('scalechange', { factor: guidelineScaleFactor, peak: Math.max(...activeDist.values) });
+        }
+
+        drawWidget();
+        if (options.onChange) {
+            options.onChange(distributions);
+        }
+        events.emit('change', { source: 'guideline', ...getEventState() });
+
+        // Update URL state during guideline dragging
+        debouncedUrlUpdate();
+    }
+
     function handlePointerUp() {
         if (isDraggingGuideline) {
             isDraggingGuideline = false;
@@ -1182,19 +1671,117 @@ export function createInteractiveWidget(containerId, options) {
         }
         
         if (isDrawing) {
-            // Trigger renormalization when drawing ends
-            performRenormalization();
-            // Store current values as the new "original" values for this distribution
-            if (activeDistributionIndex >= 0 && activeDistributionIndex < distributions.length) {
-                originalValues[activeDistributionIndex] = [...distributions[activeDistributionIndex].values];
-            }
-            // Update guideline position after renormalization (only if not manually set)
-            updateGuidelinePosition();
-            
-            // Update URL state after drawing ends
-            debouncedUrlUpdate();
+            commitStroke();
         }
         isDrawing = false;
+        cumulativeStroke = null;
+        flattenLevel = null;
+    }
+
+    /**
+     * Finish an edit of the active distribution: renormalize the background
+     * distributions, store the new "original" values and update the URL
+     */
+    function commitStroke() {
+        // Keep the pinned bins' share of the probability from before the edit
+        if (pinnedShareAtEditStart !== null) {
+            restorePinnedShare(pinnedShareAtEditStart);
+            pinnedShareAtEditStart = null;
+        }
+        // Trigger renormalization when drawing ends
+        performRenormalization();
+        // Store current values as the new "original" values for this distribution
+        if (activeDistributionIndex >= 0 && activeDistributionIndex < distributions.length) {
+            originalValues[activeDistributionIndex] = [...distributions[activeDistributionIndex].values];
+        }
+        // Update guideline position after renormalization (only if not manually set)
+        updateGuidelinePosition();
+        
+        // Update URL state after drawing ends
+        debouncedUrlUpdate();
+    }
+
+    /**
+     * Check whether a bin of the active distribution is pinned
+     */
+    function isPinned(periodIndex) {
+        const pins = pinnedBins[distributions[activeDistributionIndex].id];
+        return pins !== undefined && pins.has(periodIndex);
+    }
+
+    /**
+     * Pin or unpin one bin of a series
+     */
+    function setPinned(id, periodIndex, pinned) {
+        if (!pinnedBins[id]) pinnedBins[id] = new Set();
+        if (pinned) {
+            pinnedBins[id].add(periodIndex);
+        } else {
+            pinnedBins[id].delete(periodIndex);
+        }
+        if (pinnedBins[id].size === 0) delete pinnedBins[id];
+    }
+
+    /**
+     * Share of the active distribution's probability held by its pinned bins (null if none are pinned)
+     */
+    function getPinnedShare() {
+        const values = distributions[activeDistributionIndex].values;
+        const totalMass = values.reduce((sum, val) => sum + val, 0);
+        const pinnedMass = values.reduce((sum, val, i) => sum + (isPinned(i) ? val : 0), 0);
+        return pinnedMass > 0 && totalMass > pinnedMass ? pinnedMass / totalMass : null;
+    }
+
+    /**
+     * Scale the pinned bins so they hold the same share of the probability as before an edit,
+     * keeping their relative sizes (and the canvas height within bounds)
+     */
+    function restorePinnedShare(share) {
+        const values = distributions[activeDistributionIndex].values;
+        const pinnedMass = values.reduce((sum, val, i) => sum + (isPinned(i) ? val : 0), 0);
+        const unpinnedMass = values.reduce((sum, val, i) => sum + (isPinned(i) ? 0 : val), 0);
+        if (pinnedMass <= 0 || unpinnedMass <= 0) return;
+
+        const scale = (share * unpinnedMass / (1 - share)) / pinnedMass;
+        for (let i = 0; i < numPeriods; i++) {
+            if (isPinned(i)) values[i] *= scale;
+        }
+        const maxValue = Math.max(...values);
+        if (maxValue > 1) {
+            for (let i = 0; i < numPeriods; i++) {
+                values[i] /= maxValue;
+            }
+        }
+    }
+
+    /**
+     * Replace the active distribution with per-bin probabilities, as if they had been drawn
+     * Values are scaled so the peak keeps its current height on the canvas, and pinned bins are kept
+     * Consecutive loads with the same history key are undone as one step
+     */
+    function loadActiveProbabilities(values, historyKey = null) {
+        if (!values || values.length !== numPeriods) {
+            throw new Error(`Expected ${numPeriods} probabilities, got ${values ? values.length : values}`);
+        }
+        const activeDist = distributions[activeDistributionIndex];
+        // Finite, non-negative and with some mass, checked before anything changes
+        const probabilities = toSeriesProbabilities(activeDist.id, values, true);
+        recordHistory(historyKey);
+        // Keep a visible peak even if the guideline was dragged towards the floor
+        const peak = Math.max(0.1, ...activeDist.values);
+        const maxProbability = Math.max(...probabilities);
+        pinnedShareAtEditStart = getPinnedShare();
+
+        // Pinned bins keep their values
+        activeDist.values = probabilities.map((probability, i) => (isPinned(i)
+            ? activeDist.values[i]
+            : Math.max(FLOOR_PROBABILITY_EPSILON, probability * peak / maxProbability)
+        ));
+        userModifiedValues[activeDistributionIndex] = true;
+        guidelineManuallySet = false;
+
+        updateGuidelinePosition();
+        commitStroke();
     }
 
     /**
@@ -1237,6 +1824,7 @@ export function createInteractiveWidget(containerId, options) {
         if (options.onChange) {
             options.onChange(distributions);
         }
+        events.emit('commit', getEventState());
         
         // Update URL state after renormalization
         debouncedUrlUpdate();
@@ -1244,70 +1832,990 @@ export function createInteractiveWidget(containerId, options) {
 
 
 
-    // Add event listeners
-    canvas.addEventListener('pointerdown', handlePointerDown);
-    canvas.addEventListener('pointermove', handlePointerMove);
-    canvas.addEventListener('pointerup', handlePointerUp);
-    canvas.addEventListener('pointerleave', handlePointerUp);
+    /**
+     * The state carried by change, commit and restore events
+     */
+    function getEventState() {
+        return {
+            distributions: [...distributions],
+            activeIndex: activeDistributionIndex,
+            activeId: distributions[activeDistributionIndex].id
+        };
+    }
 
-    // Prevent context menu and touch scrolling
-    canvas.addEventListener('contextmenu', e => e.preventDefault());
-    canvas.addEventListener('touchstart', e => e.preventDefault(), { passive: false });
-    canvas.addEventListener('touchmove', e => e.preventDefault(), { passive: false });
+    /**
+     * Active series and visibility, to compare before and after an operation
+     */
+    function takeViewState() {
+        return {
+            activeIndex: activeDistributionIndex,
+            visibility: { ...visibilityState },
+            scaleFactor: guidelineScaleFactor
+        };
+    }
 
+    /**
+     * Emit activechange, visibilitychange and scalechange for what differs from an earlier view state
+     */
+    function emitViewChanges(before) {
+        if (activeDistributionIndex !== before.activeIndex) {
+            events.emit('activechange', {
+                index: activeDistributionIndex,
+                id: distributions[activeDistributionIndex].id,
+                previousIndex: before.activeIndex,
+                previousId: distributions[before.activeIndex].id
+            });
+        }
+        distributions.forEach((distribution, index) => {
+            const visible = visibilityState[index] === true;
+            if (visible !== (before.visibility[index] === true)) {
+                events.emit('visibilitychange', { index, id: distribution.id, visible });
+            }
+        });
+        if (guidelineScaleFactor !== before.scaleFactor) {
+            events.emit('scalechange', {
+                factor: guidelineScaleFactor,
+                peak: Math.max(...distributions[activeDistributionIndex].values)
+            });
+        }
+    }
 
+    /**
+     * Copy of everything an undo or redo restores
+     */
+    function takeSnapshot() {
+        return {
+            distributions: distributions.map(dist => ({ ...dist, values: [...dist.values] })),
+            activeDistributionIndex,
+            visibilityState: { ...visibilityState },
+            originalValues: Object.fromEntries(
+                Object.entries(originalValues).map(([index, values]) => [index, [...values]])
+            ),
+            userModifiedValues: { ...userModifiedValues },
+            guidelineScaleFactor,
+            guidelineManuallySet,
+            guidelineY,
+            pinnedBins: Object.fromEntries(Object.entries(pinnedBins).map(([id, pins]) => [id, [...pins]]))
+        };
+    }
 
-    // Append canvas to container
-    container.appendChild(canvas);
+    /**
+     * Push the current state onto the undo stack before an edit
+     */
+    function recordHistory(coalesceKey = null) {
+        editHistory.push(takeSnapshot(), coalesceKey);
+    }
 
-    // Initialize URL state management (this will handle distribution initialization)
-    initializeUrlState();
+    /**
+     * Restore a snapshot, then notify listeners and update the URL right away
+     */
+    function restoreSnapshot(snapshot) {
+        const before = takeViewState();
+        distributions = snapshot.distributions;
+        activeDistributionIndex = snapshot.activeDistributionIndex;
+        Object.keys(visibilityState).forEach(index => delete visibilityState[index]);
+        Object.assign(visibilityState, snapshot.visibilityState);
+        originalValues = snapshot.originalValues;
+        userModifiedValues = snapshot.userModifiedValues;
+        guidelineScaleFactor = snapshot.guidelineScaleFactor;
+        guidelineManuallySet = snapshot.guidelineManuallySet;
+        guidelineY = snapshot.guidelineY;
+        pinnedBins = Object.fromEntries(Object.entries(snapshot.pinnedBins).map(([id, pins]) => [id, new Set(pins)]));
 
-    // Initialize visibility state after distributions are loaded
-    initializeVisibilityState();
+        updateGuidelinePosition();
+        drawWidget();
+        if (options.onChange) {
+            options.onChange(distributions);
+        }
+        events.emit('commit', getEventState());
+        emitViewChanges(before);
 
-    // Initial draw
-    updateGuidelinePosition();
-    drawWidget();
+        if (urlUpdateTimeout) {
+            clearTimeout(urlUpdateTimeout);
+            urlUpdateTimeout = null;
+        }
+        serializeStateToUrl();
+    }
 
+    function undo() {
+        // Leave a stroke or drag in progress alone
+        if (isDrawing || isDraggingGuideline) return false;
+        const snapshot = editHistory.undo(takeSnapshot());
+        if (!snapshot) return false;
+        restoreSnapshot(snapshot);
+        return true;
+    }
 
-    // Return methods for external control
-    return {
-        setActiveDistributionByColor: (color) => {
-            const index = distributions.findIndex(dist => dist.color === color);
-            if (index < 0) return;
-            activeDistributionIndex = index;
-            // Reset guideline scale factor and restore original values
-            guidelineScaleFactor = 1.0;
-            guidelineManuallySet = false; // Reset manual positioning when switching distributions
-            // Restore original values for all distributions that haven't been user-modified
-            distributions.forEach((distribution, distIndex) => {
-                if (originalValues[distIndex] && !userModifiedValues[distIndex]) {
-                    distribution.values = [...originalValues[distIndex]];
+    function redo() {
+        if (isDrawing || isDraggingGuideline) return false;
+        const snapshot = editHistory.redo(takeSnapshot());
+        if (!snapshot) return false;
+        restoreSnapshot(snapshot);
+        return true;
+    }
+
+    /**
+     * Change the selected bin by one keyboard step, as a one-point stroke
+     * In cumulative view the step changes the CDF at the selected bin
+     */
+    function nudgeSelectedBin(direction, coarse) {
+        if (isDrawing || isDraggingGuideline || isPinned(keyboardCursor)) return;
+        const step = direction * (coarse ? KEYBOARD_COARSE_STEP : KEYBOARD_STEP);
+        const values = distributions[activeDistributionIndex].values;
+
+        // Repeated presses on the same bin are one undo step
+        recordHistory(`keyboard-${activeDistributionIndex}-${keyboardCursor}`);
+        pinnedShareAtEditStart = getPinnedShare();
+
+        let target;
+        if (viewMode === 'cumulative') {
+            cumulativeStroke = {
+                cdf: toCumulative(values),
+                peak: Math.max(...values),
+                startValues: [...values]
+            };
+            target = cumulativeStroke.cdf[keyboardCursor] + step;
+        } else {
+            target = values[keyboardCursor] + step;
+        }
+        applyStrokePoint(keyboardCursor, Math.max(FLOOR_PROBABILITY_EPSILON, Math.min(1, target)));
+        cumulativeStroke = null;
+
+        // Let the guideline follow the new peak, as after a pointer stroke
+        guidelineManuallySet = false;
+        updateGuidelinePosition();
+        drawWidget();
+        commitStroke();
+    }
+
+    /**
+     * Move the peak guideline by a keyboard step (up scales the distributions up)
+     */
+    function nudgeGuideline(direction) {
+        if (viewMode !== 'density' || isDrawing || isDraggingGuideline) return;
+        recordHistory('keyboard-guideline');
+        guidelineManuallySet = true;
+        moveGuidelineTo(guidelineY - direction * KEYBOARD_COARSE_STEP * plotHeight / 2);
+    }
+
+    /**
+     * Keyboard shortcuts: Ctrl+Z (Cmd+Z) to undo, Ctrl+Shift+Z or Ctrl+Y to redo
+     * Editing: Left/Right (Home/End) select a bin, Up/Down change it (Shift for
+     * coarse steps), P pins or unpins it, 1-9 switch the active series, Page
+     * Up/Page Down move the peak guideline
+     */
+    function handleKeyDown(e) {
+        if (e.altKey) return;
+        const key = e.key.toLowerCase();
+
+        if (e.ctrlKey || e.metaKey) {
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'Home':
+            case 'End':
+                e.preventDefault();
+                if (e.key === 'Home') keyboardCursor = 0;
+                else if (e.key === 'End') keyboardCursor = numPeriods - 1;
+                else keyboardCursor += e.key === 'ArrowLeft' ? -1 : 1;
+                keyboardCursor = Math.max(0, Math.min(numPeriods - 1, keyboardCursor));
+                drawWidget();
+                announceSelectedBin();
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                e.preventDefault();
+                nudgeSelectedBin(e.key === 'ArrowUp' ? 1 : -1, e.shiftKey);
+                announceSelectedBin();
+                break;
+            case 'p':
+            case 'P':
+                // Toggle the pin on the selected bin
+                e.preventDefault();
+                recordHistory();
+                setPinned(distributions[activeDistributionIndex].id, keyboardCursor, !isPinned(keyboardCursor));
+                commitPinChange();
+                announceSelectedBin();
+                break;
+            case 'PageUp':
+            case 'PageDown':
+                e.preventDefault();
+                nudgeGuideline(e.key === 'PageUp' ? 1 : -1);
+                break;
+            default:
+                // Number keys select a series by position
+                if (/^[1-9]$/.test(e.key) && Number(e.key) <= series.length) {
+                    e.preventDefault();
+                    setActiveDistributionById(distributions[Number(e.key) - 1].id);
+                    announceSelectedBin();
                 }
-            });
-            // Update dimensions to ensure proper scaling to available widget area
-            updateDimensions();
-            // Auto-scale the active distribution to fit within visible area
-            autoScaleDistribution(index);
-            updateGuidelinePosition();
-            // Ensure the new active distribution is visible
-            visibilityState[index] = true;
-            // Trigger renormalization when active distribution changes
-            performRenormalization();
-            // Update URL state
-            debouncedUrlUpdate();
-        },
+        }
+    }
+
+    // Add event listeners
+    listen(canvas, 'pointerdown', handlePointerDown);
+    listen(canvas, 'pointermove', handlePointerMove);
+    listen(canvas, 'pointerup', handlePointerUp);
+    listen(canvas, 'pointerleave', handlePointerUp);
+    listen(canvas, 'pointerleave', clearHover);
+
+    // Prevent context menu and touch scrolling
+    listen(canvas, 'contextmenu', e => e.preventDefault());
+    listen(canvas, 'touchstart', e => e.preventDefault(), { passive: false });
+    listen(canvas, 'touchmove', e => e.preventDefault(), { passive: false });
+
+    // Keyboard editing and shortcuts need the canvas to be focusable
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-label', 'Probability distribution editor. '
+        + 'Left and Right arrows select a bin, Up and Down change its probability (hold Shift for larger steps), '
+        + 'P pins or unpins it, '
+        + 'number keys switch the drawing, Page Up and Page Down scale all distributions, '
+        + 'Control+Z undoes.');
+    listen(canvas, 'keydown', handleKeyDown);
+    listen(canvas, 'focus', () => {
+        hasKeyboardFocus = true;
+        drawWidget();
+    });
+    listen(canvas, 'blur', () => {
+        hasKeyboardFocus = false;
+        drawWidget();
+    });
+
+
+
+    // Hidden table of per-bin probabilities that describes the canvas to screen readers
+    const dataTable = hideVisually(document.createElement('table'));
+    dataTable.id = `${containerId}-data-table`;
+    canvas.setAttribute('aria-describedby', dataTable.id);
+
+    // Announcements for keyboard edits
+    const statusRegion = createLiveRegion(250);
+
+    // Hover inspector tooltip (the data table covers screen readers)
+    const tooltip = document.createElement('div');
+    tooltip.setAttribute('aria-hidden', 'true');
+    tooltip.style.position = 'fixed';
+    tooltip.style.display = 'none';
+    tooltip.style.pointerEvents = 'none';
+    tooltip.style.zIndex = '1000';
+    tooltip.style.padding = '6px 8px';
+    tooltip.style.backgroundColor = 'white';
+    tooltip.style.border = '1px solid #ccc';
+    tooltip.style.borderRadius = '4px';
+    tooltip.style.boxShadow = '0 2px 4px rgba(0,0,0,0.15)';
+    tooltip.style.fontFamily = '-apple-system, BlinkMacSystemFont, sans-serif';
+    tooltip.style.fontSize = '12px';
+    tooltip.style.color = '#2c3e50';
+    tooltip.style.whiteSpace = 'nowrap';
+
+    // Append canvas to container
+    container.appendChild(canvas);
+    container.appendChild(dataTable);
+    container.appendChild(statusRegion.element);
+    container.appendChild(tooltip);
+
+    // Initialize URL state management and storage (this will handle distribution initialization)
+    initializeState();
+
+    // Initialize visibility state after distributions are loaded
+    initializeVisibilityState();
+
+    // Initial draw
+    updateGuidelinePosition();
+    drawWidget();
+    updateDataTable();
+
+
+    /**
+     * Switch the active (Drawing) distribution
+     */
+    function setActiveDistributionById(id) {
+        const index = distributions.findIndex(dist => dist.id === id);
+        // References cannot be drawn on
+        if (index < 0 || distributions[index].readOnly) return;
+        recordHistory();
+        const before = takeViewState();
+        switchActiveDistribution(index);
+        // Trigger renormalization when active distribution changes
+        performRenormalization();
+        emitViewChanges(before);
+        // Update URL state
+        debouncedUrlUpdate();
+    }
+
+    /**
+     * Make a distribution the active one, undoing the previous one's scaling and fitting the
+     * new one to the plot (renormalization and notifications are left to the caller)
+     */
+    function switchActiveDistribution(index) {
+        activeDistributionIndex = index;
+        // Reset guideline scale factor and restore original values
+        guidelineScaleFactor = 1.0;
+        guidelineManuallySet = false; // Reset manual positioning when switching distributions
+        // Restore original values for all distributions that haven't been user-modified
+        distributions.forEach((distribution, distIndex) => {
+            if (originalValues[distIndex] && !userModifiedValues[distIndex]) {
+                distribution.values = [...originalValues[distIndex]];
+            }
+        });
+        // Update dimensions to ensure proper scaling to available widget area
+        updateDimensions();
+        // Auto-scale the active distribution to fit within visible area
+        autoScaleDistribution(index);
+        updateGuidelinePosition();
+        // Ensure the new active distribution is visible
+        visibilityState[index] = true;
+    }
+
+    /**
+     * Legend of the visible distributions in a band below the chart
+     */
+    function drawLegend(top) {
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, top, widgetWidth, LEGEND_HEIGHT);
+
+        const entries = distributions
+            .map((distribution, index) => ({ distribution, index }))
+            .filter(({ index }) => visibilityState[index]);
+
+        ctx.font = '13px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        const labels = entries.map(({ distribution, index }) => {
+            if (index === activeDistributionIndex) return `${distribution.name} (drawing)`;
+            if (distribution.derived) return `${distribution.name} (${AGGREGATION_METHODS[aggregateMethod].label})`;
+            return distribution.readOnly ? `${distribution.name} (reference)` : distribution.name;
+        });
+        const swatchSize = 12;
+        const gap = 24;
+        const widths = labels.map(label => swatchSize + 6 + ctx.measureText(label).width);
+        const totalWidth = widths.reduce((sum, width) => sum + width, 0) + gap * (widths.length - 1);
+
+        // Center the entries in one row
+        let x = Math.max(padding, (widgetWidth - totalWidth) / 2);
+        const y = top + LEGEND_HEIGHT / 2;
+        entries.forEach(({ distribution }, i) => {
+            ctx.fillStyle = distribution.color;
+            ctx.fillRect(x, y - swatchSize / 2, swatchSize, swatchSize);
+            ctx.fillStyle = '#2c3e50';
+            ctx.fillText(labels[i], x + swatchSize + 6, y);
+            x += widths[i] + gap;
+        });
+    }
+
+    /**
+     * Draw the chart (and optionally a legend) onto another 2D context
+     */
+    function renderTo(targetContext, legend) {
+        const previousContext = ctx;
+        ctx = targetContext;
+        isExporting = true;
+        try {
+            drawWidget();
+            if (legend) {
+                drawLegend(heightPixels);
+            }
+        } finally {
+            ctx = previousContext;
+            isExporting = false;
+        }
+    }
+
+    /**
+     * Export the chart as an SVG document
+     * @param {Object} [exportOptions] - { legend = true }
+     */
+    function exportSvg(exportOptions = {}) {
+        const { legend = true } = exportOptions;
+        const svgContext = createSvgContext(widgetWidth, heightPixels + (legend ? LEGEND_HEIGHT : 0), {
+            // Measure labels with the canvas so the layout matches the screen
+            measureText: (text, font) => {
+                canvasContext.save();
+                canvasContext.font = font;
+                const width = canvasContext.measureText(text).width;
+                canvasContext.restore();
+                return width;
+            }
+        });
+        renderTo(svgContext, legend);
+        return svgContext.toSvg();
+    }
+
+    /**
+     * Export the chart as a PNG data URL
+     * @param {Object} [exportOptions] - { pixelRatio = 2, legend = true }
+     */
+    function exportPng(exportOptions = {}) {
+        const { pixelRatio = 2, legend = true } = exportOptions;
+        if (!(pixelRatio > 0)) {
+            throw new Error('pixelRatio must be positive');
+        }
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = Math.round(widgetWidth * pixelRatio);
+        exportCanvas.height = Math.round((heightPixels + (legend ? LEGEND_HEIGHT : 0)) * pixelRatio);
+        const exportContext = exportCanvas.getContext('2d');
+        exportContext.scale(pixelRatio, pixelRatio);
+        renderTo(exportContext, legend);
+        return exportCanvas.toDataURL('image/png');
+    }
+
+    /**
+     * The forecast store, for the saved forecast methods
+     */
+    function requireStore() {
+        if (!forecastStore) {
+            throw new Error('Storage is not enabled (set the storage option)');
+        }
+        return forecastStore;
+    }
+
+    /**
+     * Save the current state as a named forecast
+     * @returns {Object} The saved forecast { id, name, fragment, createdAt, updatedAt }
+     */
+    function saveForecast(name) {
+        return requireStore().save(name, encodeState());
+    }
+
+    /**
+     * Replace the current state with a saved forecast (can be undone)
+     * @returns {Object} The loaded forecast
+     */
+    function loadForecast(id) {
+        const forecast = requireStore().load(id);
+        if (!loadStateFragment(forecast.fragment, undefined, 'forecast')) {
+            throw new Error(`Saved forecast ${forecast.name} could not be restored`);
+        }
+        if (urlUpdateTimeout) {
+            clearTimeout(urlUpdateTimeout);
+            urlUpdateTimeout = null;
+        }
+        serializeStateToUrl();
+        return forecast;
+    }
+
+    /**
+     * Export all distributions as a JSON document ('json') or CSV ('csv')
+     */
+    function exportData(format = 'json') {
+        // References are published data, not part of the forecast
+        const editable = distributions.filter(dist => !dist.readOnly);
+        if (format === 'csv') {
+            return toCsv(editable, timeAxis);
+        }
+        if (format === 'json') {
+            return JSON.stringify(toJsonDocument(editable, timeAxis), null, 2);
+        }
+        throw new Error(`Unknown export format: ${format}`);
+    }
+
+    /**
+     * Import distributions from JSON or CSV (detected from the text unless given)
+     * Imported series replace the values of the series with the same id and become visible;
+     * pins of imported series are cleared
+     */
+    function importData(text, format = String(text).trim().startsWith('{') ? 'json' : 'csv') {
+        let entries;
+        if (format === 'json') {
+            entries = parseJsonDocument(text, timeAxis);
+        } else if (format === 'csv') {
+            entries = parseCsv(text, timeAxis);
+        } else {
+            throw new Error(`Unknown import format: ${format}`);
+        }
+
+        // Validate every id before changing anything
+        const indices = entries.map(entry => getEditableSeriesIndex(entry.id));
+
+        recordHistory();
+        const before = takeViewState();
+
+        // Keep the drawing's peak height; renormalization scales the others to its mass
+        const peak = Math.max(0.1, ...distributions[activeDistributionIndex].values);
+        entries.forEach((entry, i) => {
+            writeSeriesProbabilities(indices[i], entry.probabilities, peak);
+            visibilityState[indices[i]] = true;
+        });
+
+        guidelineManuallySet = false;
+        updateGuidelinePosition();
+        performRenormalization();
+        updateGuidelinePosition();
+        drawWidget();
+        emitViewChanges(before);
+    }
+
+    /**
+     * Redraw and notify after pins changed (pins do not move any mass, so there is nothing to renormalize)
+     */
+    function commitPinChange() {
+        drawWidget();
+        if (options.onChange) {
+            options.onChange(distributions);
+        }
+        events.emit('commit', getEventState());
+        debouncedUrlUpdate();
+    }
+
+    /**
+     * Pin or unpin a range of bins of a series, as one undoable edit
+     */
+    function setPinnedRange(id, startIndex, endIndex, pinned) {
+        // References and the aggregate cannot be edited, so they have no pins
+        getEditableSeriesIndex(id);
+        if ([startIndex, endIndex].some(i => !Number.isInteger(i) || i < 0 || i >= numPeriods)) {
+            throw new Error(`Pinned bins of ${id} must be bin indices from 0 to ${numPeriods - 1}`);
+        }
+        recordHistory();
+        for (let i = Math.min(startIndex, endIndex); i <= Math.max(startIndex, endIndex); i++) {
+            setPinned(id, i, pinned);
+        }
+        commitPinChange();
+    }
+
+    /**
+     * Select the drawing tool ('draw', 'smooth', 'flatten', 'stamp', 'erase', 'pin' or 'unpin')
+     */
+    function setTool(newTool) {
+        if (!TOOLS.includes(newTool)) return;
+        tool = newTool;
+    }
+
+    /**
+     * Set the width in bins of the smoothing brush and the stamp
+     */
+    function setBrushWidth(width) {
+        if (!(width > 0)) return;
+        brushWidth = width;
+    }
+
+    /**
+     * Switch between the density and cumulative views
+     */
+    function setViewMode(mode) {
+        if (mode !== 'density' && mode !== 'cumulative') return;
+        viewMode = mode;
+        drawWidget();
+    }
+
+    /**
+     * Replace a series' values with probabilities drawn at a peak height, dropping its pins
+     */
+    function writeSeriesProbabilities(index, probabilities, peak) {
+        const maxProbability = Math.max(...probabilities);
+        distributions[index].values = probabilities.map(probability => (
+            Math.max(FLOOR_PROBABILITY_EPSILON, probability * peak / maxProbability)
+        ));
+        originalValues[index] = [...distributions[index].values];
+        userModifiedValues[index] = true;
+        delete pinnedBins[distributions[index].id];
+    }
+
+    /**
+     * Index of a series by id
+     */
+    function getSeriesIndex(id) {
+        const index = distributions.findIndex(dist => dist.id === id);
+        if (index < 0) {
+            throw new Error(`Unknown series id: ${id}`);
+        }
+        return index;
+    }
+
+    /**
+     * Index of a series that can be edited (not a reference) by id
+     */
+    function getEditableSeriesIndex(id) {
+        const index = getSeriesIndex(id);
+        if (distributions[index].readOnly) {
+            throw new Error(`Series ${id} is a read-only reference`);
+        }
+        return index;
+    }
+
+    /**
+     * Check per-bin values for a series and return them as probabilities
+     * @param {boolean} normalize - Rescale any non-negative weights; otherwise the values must sum to 1
+     */
+    function toSeriesProbabilities(id, values, normalize) {
+        if (!Array.isArray(values) || values.length !== numPeriods) {
+            throw new Error(`Series ${id} must have ${numPeriods} values`);
+        }
+        if (values.some(value => typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            throw new Error(`Series ${id} has invalid values`);
+        }
+        const total = values.reduce((sum, value) => sum + value, 0);
+        if (total <= 0) {
+            throw new Error(`Series ${id} has no probability mass`);
+        }
+        if (!normalize && Math.abs(total - 1) > 1e-6) {
+            throw new Error(`Series ${id} values sum to ${total}, not 1 (pass normalize: true to rescale them)`);
+        }
+        return normalizeDistribution(values);
+    }
+
+    /**
+     * Finish a programmatic change: renormalize, redraw and notify
+     */
+    function commitProgrammaticChange(before) {
+        guidelineManuallySet = false;
+        updateGuidelinePosition();
+        performRenormalization();
+        updateGuidelinePosition();
+        drawWidget();
+        emitViewChanges(before);
+    }
+
+    /**
+     * Replace a series' values (an undoable step); its pinned bins are dropped
+     * The values are drawn so the series' peak is at the drawing's current peak height
+     * @param {string} id - Series id
+     * @param {Array<number>} values - One value per bin
+     * @param {Object} [setOptions] - { normalize = true }: rescale any non-negative weights to
+     *   probabilities; with false the values must already sum to 1
+     */
+    function setDistributionValues(id, values, setOptions = {}) {
+        const { normalize = true } = setOptions;
+        const index = getEditableSeriesIndex(id);
+        const probabilities = toSeriesProbabilities(id, values, normalize);
+
+        recordHistory();
+        const before = takeViewState();
+        writeSeriesProbabilities(index, probabilities, Math.max(0.1, ...distributions[activeDistributionIndex].values));
+        commitProgrammaticChange(before);
+    }
+
+    /**
+     * Reset a series to the default values and drop its pinned bins (an undoable step)
+     */
+    function resetDistribution(id) {
+        const index = getEditableSeriesIndex(id);
+        recordHistory();
+        const before = takeViewState();
+        distributions[index].values = createDefaultValues();
+        originalValues[index] = [...distributions[index].values];
+        userModifiedValues[index] = false;
+        delete pinnedBins[id];
+        commitProgrammaticChange(before);
+    }
+
+    /**
+     * Reset every series, pins, the active series, visibility and scale to the initial state (an undoable step)
+     */
+    function resetAll() {
+        recordHistory();
+        const before = takeViewState();
+        distributions = series.map(entry => ({ ...entry, values: createDefaultValues() }));
+        activeDistributionIndex = 0;
+        appendReadOnlyDistributions();
+        originalValues = {};
+        distributions.forEach((dist, index) => {
+            originalValues[index] = [...dist.values];
+        });
+        userModifiedValues = {};
+        pinnedBins = {};
+        distributions.forEach((dist, index) => {
+            visibilityState[index] = dist.readOnly ? readOnlySeries[index - series.length].visible : index === 0;
+        });
+        guidelineScaleFactor = 1.0;
+        commitProgrammaticChange(before);
+    }
+
+    /**
+     * Scale all distributions so the drawing's peak is at a fraction of the plot height,
+     * as if the peak guideline were dragged there (an undoable step)
+     * Unlike the scalechange event's factor (the latest rescaling), this is an absolute height
+     * @param {number} peak - Peak height, greater than 0 and at most 1
+     */
+    function setPeak(peak) {
+        if (typeof peak !== 'number' || !(peak > 0 && peak <= 1)) {
+            throw new Error('Peak must be greater than 0 and at most 1');
+        }
+        recordHistory();
+        guidelineManuallySet = true;
+        moveGuidelineTo(padding + (1 - peak) * plotHeight);
+    }
+
+    /**
+     * Snapshot of the widget state, with each editable series as normalized probabilities
+     * (references only appear in visibility)
+     * @returns {Object} { activeId, distributions, visibility, pinnedBins, viewMode }
+     */
+    function getState() {
+        return {
+            activeId: distributions[activeDistributionIndex].id,
+            distributions: Object.fromEntries(distributions
+                .filter(dist => !dist.readOnly)
+                .map(dist => [dist.id, normalizeDistribution(dist.values)])),
+            visibility: Object.fromEntries(distributions.map((dist, index) => [dist.id, visibilityState[index] === true])),
+            pinnedBins: Object.fromEntries(
+                Object.entries(pinnedBins).map(([id, pins]) => [id, [...pins].sort((a, b) => a - b)])
+            ),
+            viewMode
+        };
+    }
+
+    /**
+     * Apply any part of a getState() snapshot as one undoable step
+     * Everything is validated before anything changes. Series given in distributions
+     * lose their pins unless pinnedBins lists them; the active series is always visible
+     * @param {Object} state - { activeId, distributions, visibility, pinnedBins, viewMode }, all optional
+     * @param {Object} [setOptions] - { normalize = true }, as for setDistributionValues
+     */
+    function setState(state, setOptions = {}) {
+        const { normalize = true } = setOptions;
+        const entries = Object.entries(state.distributions || {}).map(([id, values]) => ({
+            index: getEditableSeriesIndex(id),
+            probabilities: toSeriesProbabilities(id, values, normalize)
+        }));
+        const activeIndex = state.activeId === undefined ? activeDistributionIndex : getEditableSeriesIndex(state.activeId);
+        const visibility = Object.entries(state.visibility || {}).map(([id, visible]) => [getSeriesIndex(id), Boolean(visible)]);
+        const pins = Object.entries(state.pinnedBins || {}).map(([id, periodIndices]) => {
+            getEditableSeriesIndex(id);
+            if (!Array.isArray(periodIndices)
+                || periodIndices.some(i => !Number.isInteger(i) || i < 0 || i >= numPeriods)) {
+                throw new Error(`Pinned bins of ${id} must be bin indices from 0 to ${numPeriods - 1}`);
+            }
+            return [id, periodIndices];
+        });
+        if (state.viewMode !== undefined && state.viewMode !== 'density' && state.viewMode !== 'cumulative') {
+            throw new Error(`Unknown view mode: ${state.viewMode}`);
+        }
+
+        recordHistory();
+        const before = takeViewState();
+        // Switch like the drawing selector, so the new drawing does not keep the old one's scale
+        if (activeIndex !== activeDistributionIndex) {
+            switchActiveDistribution(activeIndex);
+        }
+        const peak = Math.max(0.1, ...distributions[activeDistributionIndex].values);
+        entries.forEach(({ index, probabilities }) => writeSeriesProbabilities(index, probabilities, peak));
+        visibility.forEach(([index, visible]) => {
+            visibilityState[index] = visible;
+        });
+        visibilityState[activeDistributionIndex] = true;
+        pins.forEach(([id, periodIndices]) => {
+            if (periodIndices.length > 0) {
+                pinnedBins[id] = new Set(periodIndices);
+            } else {
+                delete pinnedBins[id];
+            }
+        });
+        if (state.viewMode !== undefined) {
+            viewMode = state.viewMode;
+        }
+        commitProgrammaticChange(before);
+    }
+
+    function requireAggregate() {
+        if (!aggregateSeries) {
+            throw new Error('Aggregate is not enabled (set the aggregate option)');
+        }
+    }
+
+    /**
+     * Redraw after an aggregate setting changed and notify, so scores follow the new aggregate
+     */
+    function refreshAggregate() {
+        drawWidget();
+        if (options.onChange) {
+            options.onChange(distributions);
+        }
+    }
+
+    /**
+     * Switch the aggregation method ('linear', 'geometric' or 'median'); unknown methods are ignored
+     */
+    function setAggregateMethod(method) {
+        requireAggregate();
+        if (!AGGREGATION_METHODS[method]) return;
+        aggregateMethod = method;
+        refreshAggregate();
+    }
+
+    /**
+     * Check aggregate weights (a non-negative number per series or reference id) and return a copy
+     */
+    function validateAggregateWeights(weights) {
+        if (!weights || typeof weights !== 'object') {
+            throw new Error('Aggregate weights must be an object keyed by series id');
+        }
+        Object.entries(weights).forEach(([id, weight]) => {
+            if (![...series, ...references].some(entry => entry.id === id)) {
+                throw new Error(`Unknown series id: ${id}`);
+            }
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                throw new Error(`Weight of ${id} must be a non-negative number`);
+            }
+        });
+        return { ...weights };
+    }
+
+    /**
+     * Set the aggregate's weights by series id (any other visible series keeps weight 1)
+     * @param {Object} weights - Non-negative weight per series id
+     */
+    function setAggregateWeights(weights) {
+        requireAggregate();
+        aggregateWeights = validateAggregateWeights(weights);
+        refreshAggregate();
+    }
+
+    /**
+     * @returns {Array<number>} The aggregate as probabilities
+     */
+    function getAggregate() {
+        requireAggregate();
+        return normalizeDistribution(distributions[distributions.length - 1].values);
+    }
+
+    // Options fixed at creation, as they define the bins, the series or where state is kept
+    const FIXED_OPTIONS = ['enableUrlState', 'urlNamespace', 'storage', 'startYear', 'endYear', 'binsPerYear',
+        'tailLabel', 'series', 'references', 'aggregate'];
+
+    /**
+     * Reconfigure the widget in place
+     * Supports onChange, viewMode, tool and brushWidth; other options need a new widget
+     * @param {Object} newOptions - Options to change
+     */
+    function update(newOptions = {}) {
+        Object.keys(newOptions).forEach(key => {
+            if (FIXED_OPTIONS.includes(key)) {
+                console.warn(`Option ${key} cannot be changed after creation; create a new widget instead`);
+            }
+        });
+        if ('onChange' in newOptions) {
+            options.onChange = newOptions.onChange;
+        }
+        if (newOptions.tool !== undefined) setTool(newOptions.tool);
+        if (newOptions.brushWidth !== undefined) setBrushWidth(newOptions.brushWidth);
+        if (newOptions.viewMode !== undefined) setViewMode(newOptions.viewMode);
+    }
+
+    /**
+     * Remove the widget's elements, listeners, observer and timers
+     * A pending URL and autosave update is written first, so the last edits are kept
+     */
+    function destroy() {
+        if (isDestroyed) return;
+
+        if (urlUpdateTimeout) {
+            clearTimeout(urlUpdateTimeout);
+            urlUpdateTimeout = null;
+            serializeStateToUrl();
+        }
+        isDestroyed = true;
+
+        resizeObserver.disconnect();
+        listenerCleanups.forEach(cleanup => cleanup());
+        listenerCleanups.length = 0;
+        events.clear();
+        [urlUpdateTimeout, dataTableTimeout].forEach(timeout => {
+            if (timeout) clearTimeout(timeout);
+        });
+        urlUpdateTimeout = null;
+        dataTableTimeout = null;
+        statusRegion.cancel();
+
+        [canvas, dataTable, statusRegion.element, tooltip].forEach(element => {
+            if (element.parentNode === container) {
+                container.removeChild(element);
+            }
+        });
+    }
+
+    // Return methods for external control
+    return {
+        update,
+        destroy,
+        on: events.on,
+        off: events.off,
+        setActiveDistributionById,
+        /**
+         * @deprecated Use setActiveDistributionById; the default series ids are the old color names
+         */
+        setActiveDistributionByColor: (color) => setActiveDistributionById(color),
 
         getDistributions: () => [...distributions],
+        getTimeAxis: () => timeAxis,
+        setViewMode,
+        getViewMode: () => viewMode,
+        setTool,
+        getTool: () => tool,
+        setBrushWidth,
+        getBrushWidth: () => brushWidth,
+        /**
+         * Pin bins of a series so that edits skip them
+         * @param {string} id - Series id
+         * @param {number} startIndex - First bin to pin
+         * @param {number} [endIndex=startIndex] - Last bin to pin
+         */
+        pinBins: (id, startIndex, endIndex = startIndex) => setPinnedRange(id, startIndex, endIndex, true),
+        unpinBins: (id, startIndex, endIndex = startIndex) => setPinnedRange(id, startIndex, endIndex, false),
+        getPinnedBins: (id) => [...(pinnedBins[id] || [])].sort((a, b) => a - b),
+        exportData,
+        importData,
+        exportSvg,
+        exportPng,
+        saveForecast,
+        loadForecast,
+        listForecasts: () => requireStore().list(),
+        renameForecast: (id, name) => requireStore().rename(id, name),
+        deleteForecast: (id) => requireStore().delete(id),
+        /**
+         * Fit the active distribution to elicited quantiles
+         * @param {Array<{probability: number, year: number}>} points - e.g. [{ probability: 0.5, year: 2032 }]
+         */
+        fitActiveToQuantiles: (points) => {
+            loadActiveProbabilities(fitQuantiles(points, timeAxis));
+        },
+        /**
+         * Replace the active distribution with per-bin probabilities (e.g. a parametric distribution)
+         * @param {Array<number>} probabilities - One non-negative value per bin
+         * @throws {Error} For a wrong number of values or values that are not finite and non-negative
+         */
+        applyToActiveDistribution: (probabilities) => {
+            // Consecutive applies (e.g. while dragging a parameter slider) are one undo step
+            loadActiveProbabilities(probabilities, 'apply');
+        },
+        setDistributionValues,
+        resetDistribution,
+        resetAll,
+        setPeak,
+        getPeak: () => Math.max(...distributions[activeDistributionIndex].values),
+        getState,
+        setState,
+        setAggregateMethod,
+        getAggregateMethod: () => aggregateMethod,
+        setAggregateWeights,
+        getAggregateWeights: () => ({ ...aggregateWeights }),
+        getAggregate,
+        undo,
+        redo,
+        canUndo: () => editHistory.canUndo(),
+        canRedo: () => editHistory.canRedo(),
         getActiveDistributionIndex: () => activeDistributionIndex,
         setOnChange: (callback) => {
             options.onChange = callback;
         },
         setDistributionVisibility: (index, visible) => {
             if (visibilityState.hasOwnProperty(index)) {
+                const before = takeViewState();
                 visibilityState[index] = visible;
                 drawWidget();
+                emitViewChanges(before);
+                debouncedUrlUpdate();
             }
         },
         getDistributionVisibility: (index) => {
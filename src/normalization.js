@@ -0,0 +1,58 @@
+/**
+ * Normalization Module
+ * Shared validation and normalization of probability distributions for scoring and aggregation
+ */
+
+// Values within this tolerance of zero are treated as zero
+export const TOLERANCE = 1e-12;
+
+/**
+ * Validate a prediction/truth pair of distributions
+ * Throws an error describing the first problem found
+ *
+ * @param {Array<number>} prediction - Predicted probability distribution
+ * @param {Array<number>} truth - Ground truth probability distribution
+ */
+export function validateDistributions(prediction, truth) {
+    if (prediction.length !== truth.length) {
+        throw new Error('Distributions must have the same shape');
+    }
+    if (prediction.length === 0) {
+        throw new Error('Distributions must have at least one entry');
+    }
+    if (prediction.some(v => !Number.isFinite(v)) || truth.some(v => !Number.isFinite(v))) {
+        throw new Error('Distributions must be finite');
+    }
+    if (prediction.some(v => v < -TOLERANCE) || truth.some(v => v < -TOLERANCE)) {
+        throw new Error('Distributions cannot contain negative values');
+    }
+}
+
+/**
+ * Normalize an array of non-negative values to a probability distribution
+ * A zero vector becomes the uniform distribution
+ *
+ * @param {Array<number>} values - Non-negative values
+ * @returns {Array<number>} Probability distribution summing to 1
+ */
+export function normalizeDistribution(values) {
+    const denominator = values.reduce((sum, v) => sum + v, 0);
+
+    if (denominator < TOLERANCE) {
+        // Zero vector becomes uniform distribution
+        return values.map(() => 1 / values.length);
+    }
+    // Normalize vector
+    return values.map(v => v / denominator);
+}
+
+/**
+ * Cumulative sums of a probability distribution
+ *
+ * @param {Array<number>} distribution - Probability distribution
+ * @returns {Array<number>} Running totals, one per bin
+ */
+export function cumulative(distribution) {
+    let total = 0;
+    return distribution.map(p => (total += p));
+}
@@ -0,0 +1,320 @@
+/**
+ * AI 2027 - Parametric Widget
+ * Parametric Distribution - fills the Drawing distribution from a lognormal, gamma or Weibull
+ * distribution (or a weighted mixture of them) with parameter sliders, and fits the best
+ * parametric approximation to the drawn curve
+ */
+
+import {
+    PARAMETRIC_FAMILIES,
+    fitParametric,
+    formatParametricSpec,
+    generateParametric,
+    getDefaultParams
+} from './parametric.js';
+
+/**
+ * Creates a Parametric Distribution widget
+ * @param {string} containerId - The ID of the HTML element to insert the widget into
+ * @param {Object} options - Widget configuration options
+ * @param {Object} options.timeAxis - Time axis of the interactive widget (from getTimeAxis())
+ * @param {Function} options.onApply - Called with per-bin probabilities whenever the parameters change
+ * @param {Function} options.getValues - Returns the per-bin values of the Drawing distribution, for fitting
+ * @param {string} [options.family='lognormal'] - Initial family (lognormal, gamma, weibull)
+ */
+export function createParametricWidget(containerId, options) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        console.error(`Container with ID '${containerId}' not found`);
+        return;
+    }
+
+    const initialFamily = PARAMETRIC_FAMILIES[options.family] ? options.family : 'lognormal';
+
+    // Mixture components, each { family, params, weight }
+    let components = [{ family: initialFamily, params: getDefaultParams(initialFamily), weight: 1 }];
+
+    // Create main container
+    const mainContainer = document.createElement('div');
+    mainContainer.style.width = '100%';
+    mainContainer.style.fontFamily = '-apple-system, BlinkMacSystemFont, sans-serif';
+
+    // Create parametric box
+    const parametricBox = document.createElement('div');
+    parametricBox.style.display = 'flex';
+    parametricBox.style.flexDirection = 'column';
+    parametricBox.style.alignItems = 'center';
+    parametricBox.style.gap = '15px';
+    parametricBox.style.padding = '20px';
+    parametricBox.style.border = '3px solid #2c3e50';
+    parametricBox.style.borderRadius = '8px';
+    parametricBox.style.backgroundColor = '#f8f9fa';
+    parametricBox.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
+
+    // Add title for the parametric box
+    const title = document.createElement('div');
+    title.textContent = 'Parametric Distribution';
+    title.style.fontWeight = 'bold';
+    title.style.fontSize = '16px';
+    title.style.color = '#2c3e50';
+    title.style.textAlign = 'center';
+
+    const subtitle = document.createElement('div');
+    subtitle.textContent = `Arrival time in years after the start of ${options.timeAxis.startYear}`;
+    subtitle.style.fontSize = '13px';
+    subtitle.style.color = '#555';
+
+    // Components section (rebuilt when components are added, removed or change family)
+    const componentsSection = document.createElement('div');
+    componentsSection.style.display = 'flex';
+    componentsSection.style.flexDirection = 'column';
+    componentsSection.style.gap = '12px';
+    componentsSection.style.width = '100%';
+    componentsSection.style.maxWidth = '520px';
+
+    // Buttons
+    const buttonRow = document.createElement('div');
+    buttonRow.style.display = 'flex';
+    buttonRow.style.justifyContent = 'center';
+    buttonRow.style.gap = '12px';
+
+    function createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.style.padding = '4px 12px';
+        button.style.border = '1px solid #ccc';
+        button.style.borderRadius = '4px';
+        button.style.backgroundColor = 'white';
+        button.style.fontSize = '14px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    buttonRow.appendChild(createButton('Add component', () => {
+        components.push({ family: 'lognormal', params: getDefaultParams('lognormal'), weight: 1 });
+        renderComponents();
+        apply();
+    }));
+    buttonRow.appendChild(createButton('Apply to drawing', () => apply()));
+    buttonRow.appendChild(createButton('Fit to drawing', () => fitToDrawing()));
+
+    // Formula and fit report
+    const formulaOutput = document.createElement('div');
+    formulaOutput.style.fontFamily = 'monospace';
+    formulaOutput.style.fontSize = '13px';
+    formulaOutput.style.textAlign = 'center';
+
+    const fitReport = document.createElement('div');
+    fitReport.style.fontFamily = 'monospace';
+    fitReport.style.fontSize = '12px';
+    fitReport.style.color = '#555';
+    fitReport.style.textAlign = 'center';
+
+    parametricBox.appendChild(title);
+    parametricBox.appendChild(subtitle);
+    parametricBox.appendChild(componentsSection);
+    parametricBox.appendChild(buttonRow);
+    parametricBox.appendChild(formulaOutput);
+    parametricBox.appendChild(fitReport);
+    mainContainer.appendChild(parametricBox);
+
+    /**
+     * Create a labeled slider row that shows its current value
+     */
+    function createSliderRow(labelText, { min, max, step }, value, onInput) {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '12px';
+
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        label.style.color = '#2c3e50';
+        label.style.fontSize = '14px';
+        label.style.width = '140px';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.value = String(value);
+        slider.style.flex = '1';
+
+        const valueLabel = document.createElement('span');
+        valueLabel.textContent = value.toFixed(2);
+        valueLabel.style.fontFamily = 'monospace';
+        valueLabel.style.fontSize = '13px';
+        valueLabel.style.width = '48px';
+
+        slider.addEventListener('input', () => {
+            const newValue = parseFloat(slider.value);
+            valueLabel.textContent = newValue.toFixed(2);
+            onInput(newValue);
+        });
+
+        row.appendChild(label);
+        row.appendChild(slider);
+        row.appendChild(valueLabel);
+        return row;
+    }
+
+    /**
+     * Rebuild the controls for every component
+     */
+    function renderComponents() {
+        componentsSection.innerHTML = '';
+        const isMixture = components.length > 1;
+
+        components.forEach((component, index) => {
+            const componentBox = document.createElement('div');
+            componentBox.style.display = 'flex';
+            componentBox.style.flexDirection = 'column';
+            componentBox.style.gap = '6px';
+            if (isMixture) {
+                componentBox.style.paddingTop = '8px';
+                componentBox.style.borderTop = index > 0 ? '1px solid #ccc' : 'none';
+            }
+
+            // Family selection (and removal for mixtures)
+            const headerRow = document.createElement('div');
+            headerRow.style.display = 'flex';
+            headerRow.style.alignItems = 'center';
+            headerRow.style.gap = '12px';
+
+            const familyLabel = document.createElement('label');
+            familyLabel.textContent = isMixture ? `Component ${index + 1}:` : 'Family:';
+            familyLabel.style.fontWeight = 'bold';
+            familyLabel.style.color = '#2c3e50';
+            familyLabel.style.fontSize = '14px';
+
+            const familySelect = document.createElement('select');
+            familySelect.style.padding = '4px 8px';
+            familySelect.style.border = '1px solid #ccc';
+            familySelect.style.borderRadius = '4px';
+            familySelect.style.fontSize = '14px';
+            Object.entries(PARAMETRIC_FAMILIES).forEach(([id, family]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = family.label;
+                familySelect.appendChild(option);
+            });
+            familySelect.value = component.family;
+            familySelect.addEventListener('change', () => {
+                component.family = familySelect.value;
+                component.params = getDefaultParams(component.family);
+                renderComponents();
+                apply();
+            });
+
+            headerRow.appendChild(familyLabel);
+            headerRow.appendChild(familySelect);
+
+            if (isMixture) {
+                headerRow.appendChild(createButton('Remove', () => {
+                    components.splice(index, 1);
+                    renderComponents();
+                    apply();
+                }));
+            }
+            componentBox.appendChild(headerRow);
+
+            // One slider per parameter
+            PARAMETRIC_FAMILIES[component.family].params.forEach(param => {
+                componentBox.appendChild(createSliderRow(param.label, param, component.params[param.key], (value) => {
+                    component.params[param.key] = value;
+                    apply();
+                }));
+            });
+
+            // Mixture weight
+            if (isMixture) {
+                componentBox.appendChild(createSliderRow('Weight', { min: 0.05, max: 1, step: 0.05 }, component.weight, (value) => {
+                    component.weight = value;
+                    apply();
+                }));
+            }
+
+            componentsSection.appendChild(componentBox);
+        });
+
+        updateFormula();
+    }
+
+    /**
+     * Spec for the current components (a plain family, or a mixture)
+     */
+    function getSpec() {
+        if (components.length === 1) {
+            return { family: components[0].family, params: { ...components[0].params } };
+        }
+        return {
+            family: 'mixture',
+            components: components.map(component => ({
+                family: component.family,
+                params: { ...component.params },
+                weight: component.weight
+            }))
+        };
+    }
+
+    /**
+     * Replace the components from a spec and show them
+     */
+    function setSpec(spec) {
+        // Validate before replacing the current components
+        generateParametric(spec, options.timeAxis);
+        const specComponents = spec.family === 'mixture' ? spec.components : [{ ...spec, weight: 1 }];
+        components = specComponents.map(component => ({
+            family: component.family,
+            params: { ...component.params },
+            weight: component.weight
+        }));
+        fitReport.textContent = '';
+        renderComponents();
+    }
+
+    function updateFormula() {
+        formulaOutput.textContent = formatParametricSpec(getSpec());
+    }
+
+    /**
+     * Send the current parametric distribution to the Drawing distribution
+     */
+    function apply() {
+        updateFormula();
+        if (options.onApply) {
+            options.onApply(generateParametric(getSpec(), options.timeAxis));
+        }
+    }
+
+    /**
+     * Fit every family to the Drawing distribution and show the best one
+     */
+    function fitToDrawing() {
+        const result = fitParametric(options.getValues(), options.timeAxis);
+        setSpec({ family: result.best.family, params: result.best.params });
+        // Report how well each family fits, best first
+        fitReport.textContent = result.fits
+            .map(fit => `${PARAMETRIC_FAMILIES[fit.family].label}: D_KL = ${fit.divergence.toFixed(4)}`)
+            .join(' · ');
+        return result;
+    }
+
+    // Append to container
+    container.appendChild(mainContainer);
+
+    // Initialize display
+    renderComponents();
+
+    // Return methods for external control
+    return {
+        getSpec,
+        setSpec,
+        apply,
+        fitToDrawing,
+        getFormula: () => formatParametricSpec(getSpec())
+    };
+}
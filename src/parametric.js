@@ -0,0 +1,326 @@
+/**
+ * Parametric Module
+ * Parametric arrival-time distributions (lognormal, gamma, Weibull and mixtures)
+ * discretized onto the time axis, and fitting them to a drawn distribution
+ *
+ * Arrival times are measured in years after the start year of the time axis.
+ */
+
+import { calculateKLDivergence } from './KL-divergence.js';
+import { normalizeDistribution } from './normalization.js';
+import { discretizeCdf } from './time-axis.js';
+
+/**
+ * Error function (Abramowitz and Stegun 7.1.26, absolute error below 1.5e-7)
+ */
+function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return sign * (1 - poly * Math.exp(-x * x));
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function lnGamma(x) {
+    const coefficients = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+        9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+    if (x < 0.5) {
+        // Reflection formula
+        return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lnGamma(1 - x);
+    }
+    const z = x - 1;
+    let sum = coefficients[0];
+    for (let i = 1; i < coefficients.length; i++) {
+        sum += coefficients[i] / (z + i);
+    }
+    const t = z + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * Series expansion below a + 1, continued fraction above
+ */
+function regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+    const logPrefactor = -x + a * Math.log(x) - lnGamma(a);
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+        }
+        return Math.min(1, sum * Math.exp(logPrefactor));
+    }
+
+    // Modified Lentz's method for the continued fraction of Q(a, x)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.max(0, 1 - Math.exp(logPrefactor) * h);
+}
+
+/**
+ * Available parametric families, keyed by id
+ * Each family lists its parameters (with slider ranges and defaults; positive
+ * parameters are fitted on a log scale) and its CDF over years after the start year
+ */
+export const PARAMETRIC_FAMILIES = {
+    lognormal: {
+        label: 'Lognormal',
+        params: [
+            { key: 'mu', label: 'μ (log years)', min: -1, max: 4, step: 0.01, default: 1.8 },
+            { key: 'sigma', label: 'σ', min: 0.05, max: 3, step: 0.01, default: 0.7, positive: true }
+        ],
+        cdf: (t, { mu, sigma }) => (t <= 0 ? 0 : 0.5 * (1 + erf((Math.log(t) - mu) / (sigma * Math.SQRT2))))
+    },
+    gamma: {
+        label: 'Gamma',
+        params: [
+            { key: 'shape', label: 'k (shape)', min: 0.2, max: 20, step: 0.05, default: 3, positive: true },
+            { key: 'scale', label: 'θ (scale, years)', min: 0.1, max: 20, step: 0.05, default: 2.5, positive: true }
+        ],
+        cdf: (t, { shape, scale }) => regularizedGammaP(shape, t / scale)
+    },
+    weibull: {
+        label: 'Weibull',
+        params: [
+            { key: 'shape', label: 'k (shape)', min: 0.2, max: 10, step: 0.05, default: 2, positive: true },
+            { key: 'scale', label: 'λ (scale, years)', min: 0.5, max: 40, step: 0.1, default: 8, positive: true }
+        ],
+        cdf: (t, { shape, scale }) => (t <= 0 ? 0 : 1 - Math.exp(-Math.pow(t / scale, shape)))
+    }
+};
+
+/**
+ * Default parameters of a family
+ *
+ * @param {string} family - Key into PARAMETRIC_FAMILIES
+ * @returns {Object} Parameter values keyed by parameter key
+ */
+export function getDefaultParams(family) {
+    const definition = PARAMETRIC_FAMILIES[family];
+    if (!definition) {
+        throw new Error(`Unknown parametric family: ${family}`);
+    }
+    return Object.fromEntries(definition.params.map(param => [param.key, param.default]));
+}
+
+/**
+ * Validate a single-family spec and return its CDF over years after the start year
+ */
+function createFamilyCdf(spec) {
+    const definition = PARAMETRIC_FAMILIES[spec.family];
+    if (!definition) {
+        throw new Error(`Unknown parametric family: ${spec.family}`);
+    }
+    definition.params.forEach(param => {
+        const value = spec.params && spec.params[param.key];
+        if (!Number.isFinite(value) || (param.positive && value <= 0)) {
+            throw new Error(`Invalid ${param.key} for ${definition.label}: ${value}`);
+        }
+    });
+    return (t) => definition.cdf(t, spec.params);
+}
+
+/**
+ * Build the CDF of a spec over years after the start year
+ * A spec is either { family, params } or { family: 'mixture', components },
+ * where each component is a single-family spec with a non-negative weight
+ */
+function createSpecCdf(spec) {
+    if (spec.family !== 'mixture') {
+        return createFamilyCdf(spec);
+    }
+
+    const components = spec.components || [];
+    const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+    if (components.length === 0 || components.some(component => !(component.weight >= 0)) || !(totalWeight > 0)) {
+        throw new Error('Mixtures need at least one component and positive weights');
+    }
+    const cdfs = components.map(component => createFamilyCdf(component));
+    return (t) => cdfs.reduce((sum, cdf, i) => sum + components[i].weight * cdf(t), 0) / totalWeight;
+}
+
+/**
+ * Discretize a parametric distribution onto the bins of a time axis
+ *
+ * @param {Object} spec - { family, params } or { family: 'mixture', components: [{ family, params, weight }] }
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @returns {Array<number>} Probability per bin, summing to 1
+ */
+export function generateParametric(spec, timeAxis) {
+    const cdf = createSpecCdf(spec);
+    return discretizeCdf(year => cdf(year - timeAxis.startYear), timeAxis);
+}
+
+/**
+ * Format a spec as a compact formula, e.g. "Lognormal(μ = 1.80, σ = 0.70)"
+ *
+ * @param {Object} spec - Parametric spec
+ * @returns {string} Formula
+ */
+export function formatParametricSpec(spec) {
+    if (spec.family === 'mixture') {
+        const totalWeight = spec.components.reduce((sum, component) => sum + component.weight, 0);
+        return spec.components
+            .map(component => `${(component.weight / totalWeight).toFixed(2)} × ${formatParametricSpec(component)}`)
+            .join(' + ');
+    }
+    const definition = PARAMETRIC_FAMILIES[spec.family];
+    const params = definition.params
+        .map(param => `${param.label.split(' ')[0]} = ${spec.params[param.key].toFixed(2)}`)
+        .join(', ');
+    return `${definition.label}(${params})`;
+}
+
+/**
+ * Minimize a function with the Nelder–Mead simplex method
+ */
+function nelderMead(objective, start, { step = 0.25, maxIterations = 400, tolerance = 1e-10 } = {}) {
+    const n = start.length;
+    let simplex = [start, ...start.map((_, i) => start.map((x, j) => (i === j ? x + step : x)))]
+        .map(point => ({ point, value: objective(point) }));
+
+    const combine = (a, b, t) => a.map((x, i) => x + t * (b[i] - x));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        simplex.sort((a, b) => a.value - b.value);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (Math.abs(worst.value - best.value) < tolerance) break;
+
+        // Centroid of all points except the worst
+        const centroid = start.map((_, i) => simplex.slice(0, n).reduce((sum, v) => sum + v.point[i], 0) / n);
+
+        const reflected = combine(centroid, worst.point, -1);
+        const reflectedValue = objective(reflected);
+
+        if (reflectedValue < best.value) {
+            const expanded = combine(centroid, worst.point, -2);
+            const expandedValue = objective(expanded);
+            simplex[n] = expandedValue < reflectedValue
+                ? { point: expanded, value: expandedValue }
+                : { point: reflected, value: reflectedValue };
+        } else if (reflectedValue < simplex[n - 1].value) {
+            simplex[n] = { point: reflected, value: reflectedValue };
+        } else {
+            const contracted = combine(centroid, worst.point, 0.5);
+            const contractedValue = objective(contracted);
+            if (contractedValue < worst.value) {
+                simplex[n] = { point: contracted, value: contractedValue };
+            } else {
+                // Shrink towards the best point
+                simplex = simplex.map((vertex, i) => {
+                    if (i === 0) return vertex;
+                    const point = combine(best.point, vertex.point, 0.5);
+                    return { point, value: objective(point) };
+                });
+            }
+        }
+    }
+
+    simplex.sort((a, b) => a.value - b.value);
+    return simplex[0];
+}
+
+/**
+ * Starting parameters from the mean and variance of the arrival time before the tail bin
+ */
+function initialParams(family, probabilities, timeAxis) {
+    const tailIndex = timeAxis.numPeriods - 1;
+    const boundedMass = probabilities.slice(0, tailIndex).reduce((sum, p) => sum + p, 0);
+    if (boundedMass <= 0) {
+        return getDefaultParams(family);
+    }
+
+    let mean = 0;
+    let secondMoment = 0;
+    for (let i = 0; i < tailIndex; i++) {
+        const t = (i + 0.5) / timeAxis.binsPerYear;
+        mean += probabilities[i] * t / boundedMass;
+        secondMoment += probabilities[i] * t * t / boundedMass;
+    }
+    const variance = Math.max(secondMoment - mean * mean, 1e-4);
+
+    if (family === 'lognormal') {
+        const sigmaSquared = Math.log(1 + variance / (mean * mean));
+        return { mu: Math.log(mean) - sigmaSquared / 2, sigma: Math.sqrt(sigmaSquared) };
+    }
+    if (family === 'gamma') {
+        return { shape: mean * mean / variance, scale: variance / mean };
+    }
+    // Weibull: approximate shape from the coefficient of variation
+    const shape = Math.pow(Math.sqrt(variance) / mean, -1.086);
+    return { shape, scale: mean / Math.exp(lnGamma(1 + 1 / shape)) };
+}
+
+/**
+ * Fit parametric families to a drawn distribution
+ * Each family's parameters minimize D_KL(drawn || fitted)
+ *
+ * @param {Array<number>} values - Non-negative per-bin values (normalized internally)
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @param {Object} [options] - Fit options
+ * @param {Array<string>} [options.families] - Families to try (defaults to all)
+ * @returns {{best: Object, fits: Array<Object>}} Fits as { family, params, divergence }, best first
+ */
+export function fitParametric(values, timeAxis, options = {}) {
+    const { families = Object.keys(PARAMETRIC_FAMILIES) } = options;
+    if (values.length !== timeAxis.numPeriods) {
+        throw new Error('Distribution must have one value per time axis bin');
+    }
+    const target = normalizeDistribution(values);
+
+    const fits = families.map(family => {
+        const definition = PARAMETRIC_FAMILIES[family];
+        if (!definition) {
+            throw new Error(`Unknown parametric family: ${family}`);
+        }
+
+        // Optimize positive parameters on a log scale
+        const toParams = (point) => Object.fromEntries(definition.params.map((param, i) => (
+            [param.key, param.positive ? Math.exp(point[i]) : point[i]]
+        )));
+        const objective = (point) => {
+            const params = toParams(point);
+            if (Object.values(params).some(value => !Number.isFinite(value))) return Infinity;
+            // Keep the fitted mass off zero so the divergence stays finite
+            const fitted = generateParametric({ family, params }, timeAxis).map(p => Math.max(p, 1e-12));
+            return calculateKLDivergence(fitted, target);
+        };
+
+        const initial = initialParams(family, target, timeAxis);
+        const start = definition.params.map(param => (
+            param.positive ? Math.log(initial[param.key]) : initial[param.key]
+        ));
+        const result = nelderMead(objective, start);
+
+        return { family, params: toParams(result.point), divergence: result.value };
+    });
+
+    fits.sort((a, b) => a.divergence - b.divergence);
+    return { best: fits[0], fits };
+}
@@ -0,0 +1,124 @@
+/**
+ * Quantile Fit Module
+ * Builds a smooth per-bin distribution from a few elicited quantiles
+ * (e.g. "10% by 2028, 50% by 2032, 90% by 2039")
+ *
+ * The elicited points are knots of the cumulative distribution function (CDF),
+ * with the CDF starting at 0 at the start of the time axis. Knots are joined
+ * with monotone cubic (Fritsch–Carlson) interpolation, and beyond the last knot
+ * the CDF approaches 1 exponentially, continuing the last segment's slope. The
+ * tail bin receives whatever probability remains at the end year.
+ */
+
+import { discretizeCdf } from './time-axis.js';
+
+/**
+ * Parse elicited quantiles from text
+ * Entries are separated by commas or semicolons, each a percentage and a year,
+ * e.g. "10% by 2028", "50% @ 2032.5" or "90% 2039"
+ *
+ * @param {string} text - Quantiles to parse
+ * @returns {Array<{probability: number, year: number}>} Parsed points
+ */
+export function parseQuantileText(text) {
+    const parts = String(text).split(/[,;]/).filter(part => part.trim() !== '');
+    if (parts.length === 0) {
+        throw new Error('Enter at least one quantile, e.g. "50% by 2032"');
+    }
+
+    return parts.map(part => {
+        const match = part.match(/^\s*(\d+(?:\.\d+)?)\s*%\s*(?:by|@|:)?\s*(\d{4}(?:\.\d+)?)\s*$/i);
+        if (!match) {
+            throw new Error(`Invalid quantile: ${part.trim()}`);
+        }
+        return {
+            probability: parseFloat(match[1]) / 100,
+            year: parseFloat(match[2])
+        };
+    });
+}
+
+/**
+ * Tangents for monotone cubic interpolation (Fritsch–Carlson)
+ */
+function monotoneTangents(xs, ys) {
+    const n = xs.length;
+    const secants = [];
+    for (let k = 0; k < n - 1; k++) {
+        secants.push((ys[k + 1] - ys[k]) / (xs[k + 1] - xs[k]));
+    }
+
+    const tangents = [secants[0]];
+    for (let k = 1; k < n - 1; k++) {
+        const h0 = xs[k] - xs[k - 1];
+        const h1 = xs[k + 1] - xs[k];
+        // Weighted harmonic mean keeps the interpolant monotone
+        tangents.push((3 * (h0 + h1)) / ((2 * h1 + h0) / secants[k - 1] + (h1 + 2 * h0) / secants[k]));
+    }
+    tangents.push(secants[n - 2]);
+
+    return tangents;
+}
+
+/**
+ * Build a CDF function through the given knots
+ */
+function createCdf(xs, ys) {
+    const tangents = monotoneTangents(xs, ys);
+    const last = xs.length - 1;
+    // Exponential tail rate that matches the slope at the last knot
+    const tailRate = ys[last] < 1 ? tangents[last] / (1 - ys[last]) : 0;
+
+    return (x) => {
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[last]) {
+            return 1 - (1 - ys[last]) * Math.exp(-tailRate * (x - xs[last]));
+        }
+
+        let k = 0;
+        while (x > xs[k + 1]) k++;
+
+        // Cubic Hermite interpolation on segment k
+        const h = xs[k + 1] - xs[k];
+        const t = (x - xs[k]) / h;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * ys[k]
+            + (t3 - 2 * t2 + t) * h * tangents[k]
+            + (-2 * t3 + 3 * t2) * ys[k + 1]
+            + (t3 - t2) * h * tangents[k + 1];
+    };
+}
+
+/**
+ * Fit a per-bin probability distribution to elicited quantiles
+ *
+ * @param {Array<{probability: number, year: number}>} points - CDF points; year is a decimal
+ *   year (2032 is the start of 2032, where the '32 tick sits)
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @returns {Array<number>} Probability per bin, summing to 1
+ */
+export function fitQuantiles(points, timeAxis) {
+    if (!Array.isArray(points) || points.length === 0) {
+        throw new Error('At least one quantile is required');
+    }
+    if (points.some(point => !(point.probability > 0 && point.probability < 1))) {
+        throw new Error('Quantile probabilities must be between 0% and 100%');
+    }
+    if (points.some(point => !(point.year > timeAxis.startYear))) {
+        throw new Error(`Quantile years must be after ${timeAxis.startYear}`);
+    }
+
+    const sorted = [...points].sort((a, b) => a.year - b.year);
+    for (let k = 1; k < sorted.length; k++) {
+        if (!(sorted[k].probability > sorted[k - 1].probability) || sorted[k].year === sorted[k - 1].year) {
+            throw new Error('Later quantiles must have higher probabilities');
+        }
+    }
+
+    // The CDF starts at 0 at the start of the time axis
+    const xs = [timeAxis.startYear, ...sorted.map(point => point.year)];
+    const ys = [0, ...sorted.map(point => point.probability)];
+
+    return discretizeCdf(createCdf(xs, ys), timeAxis);
+}
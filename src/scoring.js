@@ -0,0 +1,211 @@
+/**
+ * Scoring Module
+ * Scoring rules for comparing a predicted distribution against a ground truth distribution
+ *
+ * All rules take non-negative arrays of the same shape, normalize them to
+ * probability distributions and return a score where lower is better and 0 is
+ * perfect agreement. Rules marked as ordered respect the order of the time
+ * bins and are reported in years.
+ */
+
+import { calculateKLDivergence } from './KL-divergence.js';
+import { cumulative, normalizeDistribution, validateDistributions } from './normalization.js';
+
+/**
+ * Validate and normalize a prediction/truth pair
+ */
+function preparePair(prediction, truth) {
+    validateDistributions(prediction, truth);
+    return [normalizeDistribution(prediction), normalizeDistribution(truth)];
+}
+
+/**
+ * Calculate Jensen-Shannon divergence, in nats
+ * Score = ½ D_KL(Q || M) + ½ D_KL(P || M), with M = ½ (P + Q)
+ * Symmetric and bounded by ln 2, so it stays finite when a forecast puts zero mass somewhere
+ *
+ * @param {Array<number>} prediction - Predicted probability distribution
+ * @param {Array<number>} truth - Ground truth probability distribution
+ * @returns {number} JS divergence (lower is better)
+ */
+export function calculateJSDivergence(prediction, truth) {
+    const [P, Q] = preparePair(prediction, truth);
+    const M = P.map((p, i) => (p + Q[i]) / 2);
+
+    return 0.5 * calculateKLDivergence(M, Q) + 0.5 * calculateKLDivergence(M, P);
+}
+
+/**
+ * Calculate Hellinger distance
+ * Score = sqrt(1 - Σ sqrt(p_i * q_i)), bounded by 1
+ *
+ * @param {Array<number>} prediction - Predicted probability distribution
+ * @param {Array<number>} truth - Ground truth probability distribution
+ * @returns {number} Hellinger distance (lower is better)
+ */
+export function calculateHellingerDistance(prediction, truth) {
+    const [P, Q] = preparePair(prediction, truth);
+    const bhattacharyya = P.reduce((sum, p, i) => sum + Math.sqrt(p * Q[i]), 0);
+
+    // Guard against rounding pushing the coefficient slightly above 1
+    return Math.sqrt(Math.max(0, 1 - bhattacharyya));
+}
+
+/**
+ * Calculate total variation distance
+ * Score = ½ Σ |p_i - q_i|, bounded by 1
+ *
+ * @param {Array<number>} prediction - Predicted probability distribution
+ * @param {Array<number>} truth - Ground truth probability distribution
+ * @returns {number} Total variation distance (lower is better)
+ */
+export function calculateTotalVariation(prediction, truth) {
+    const [P, Q] = preparePair(prediction, truth);
+
+    return 0.5 * P.reduce((sum, p, i) => sum + Math.abs(p - Q[i]), 0);
+}
+
+/**
+ * Calculate Wasserstein-1 (earth mover's) distance between distributions over ordered bins
+ * Score = Σ |F_P(i) - F_Q(i)| * binWidth, the mass moved times the distance it travels
+ *
+ * @param {Array<number>} prediction - Predicted probability distribution
+ * @param {Array<number>} truth - Ground truth probability distribution
+ * @param {number} [binWidth=1] - Distance between adjacent bins (e.g. in years)
+ * @returns {number} Wasserstein distance (lower is better)
+ */
+export function calculateWassersteinDistance(prediction, truth, binWidth = 1) {
+    const [P, Q] = preparePair(prediction, truth);
+    const cdfP = cumulative(P);
+    const cdfQ = cumulative(Q);
+
+    // Both CDFs reach 1 at the last bin, so it contributes nothing
+    let distance = 0;
+    for (let i = 0; i < cdfP.length - 1; i++) {
+        distance += Math.abs(cdfP[i] - cdfQ[i]);
+    }
+
+    return distance * binWidth;
+}
+
+/**
+ * Calculate the continuous ranked probability score (CRPS) over ordered bins
+ * Score = Σ_y q_y Σ_k (F_P(k) - 1[k >= y])² * binWidth, the CRPS of the prediction
+ * averaged over outcomes drawn from the truth distribution
+ * Unlike the other rules this is 0 only when the truth is a point mass that the prediction matches
+ *
+ * @param {Array<number>} prediction - Predicted probability distribution
+ * @param {Array<number>} truth - Ground truth probability distribution
+ * @param {number} [binWidth=1] - Distance between adjacent bins (e.g. in years)
+ * @returns {number} Expected CRPS (lower is better)
+ */
+export function calculateCRPS(prediction, truth, binWidth = 1) {
+    const [P, Q] = preparePair(prediction, truth);
+    const cdfP = cumulative(P);
+
+    let score = 0;
+    for (let y = 0; y < Q.length; y++) {
+        if (Q[y] <= 0) continue; // Outcomes the truth rules out do not contribute
+
+        let outcomeScore = 0;
+        for (let k = 0; k < cdfP.length - 1; k++) {
+            const step = k >= y ? 1 : 0;
+            outcomeScore += (cdfP[k] - step) ** 2;
+        }
+        score += Q[y] * outcomeScore;
+    }
+
+    return score * binWidth;
+}
+
+/**
+ * Available scoring rules, keyed by id
+ * Each rule has a display label, the number of decimals to show, an optional
+ * unit, and a score(prediction, truth, binWidth) function. Symmetric rules give
+ * the same score in both directions; informational rules are measured in nats
+ * and can be converted to bits
+ */
+export const SCORING_RULES = {
+    kl: {
+        label: 'Kullback–Leibler Divergence',
+        decimals: 2,
+        informational: true,
+        score: (prediction, truth) => calculateKLDivergence(prediction, truth)
+    },
+    js: {
+        label: 'Jensen–Shannon Divergence',
+        decimals: 3,
+        symmetric: true,
+        informational: true,
+        score: (prediction, truth) => calculateJSDivergence(prediction, truth)
+    },
+    hellinger: {
+        label: 'Hellinger Distance',
+        decimals: 3,
+        symmetric: true,
+        score: (prediction, truth) => calculateHellingerDistance(prediction, truth)
+    },
+    tv: {
+        label: 'Total Variation Distance',
+        decimals: 3,
+        symmetric: true,
+        score: (prediction, truth) => calculateTotalVariation(prediction, truth)
+    },
+    wasserstein: {
+        label: 'Wasserstein Distance',
+        decimals: 2,
+        unit: 'years',
+        ordered: true,
+        symmetric: true,
+        score: calculateWassersteinDistance
+    },
+    crps: {
+        label: 'Continuous Ranked Probability Score',
+        decimals: 2,
+        unit: 'years',
+        ordered: true,
+        score: calculateCRPS
+    }
+};
+
+/**
+ * Directions in which an asymmetric rule can be applied
+ * forward scores the prediction against the truth, D(truth || prediction) for KL;
+ * reverse swaps the roles; symmetric averages the two
+ */
+export const SCORING_DIRECTIONS = ['forward', 'reverse', 'symmetric'];
+
+/**
+ * Score a prediction against a truth distribution with the given rule
+ *
+ * @param {string} ruleId - Key into SCORING_RULES
+ * @param {Array<number>} prediction - Predicted probability distribution
+ * @param {Array<number>} truth - Ground truth probability distribution
+ * @param {Object} [context] - Scoring context
+ * @param {number} [context.binsPerYear=1] - Bins per year, used to report ordered rules in years
+ * @param {string} [context.direction='forward'] - One of SCORING_DIRECTIONS
+ * @param {string} [context.units='nats'] - 'nats' or 'bits' for informational rules
+ * @returns {number} Score (lower is better)
+ */
+export function scoreDistributions(ruleId, prediction, truth, context = {}) {
+    const rule = SCORING_RULES[ruleId];
+    if (!rule) {
+        throw new Error(`Unknown scoring rule: ${ruleId}`);
+    }
+    const { direction = 'forward', units = 'nats' } = context;
+    if (!SCORING_DIRECTIONS.includes(direction)) {
+        throw new Error(`Unknown scoring direction: ${direction}`);
+    }
+    const binWidth = 1 / (context.binsPerYear || 1);
+
+    let score;
+    if (rule.symmetric || direction === 'forward') {
+        score = rule.score(prediction, truth, binWidth);
+    } else if (direction === 'reverse') {
+        score = rule.score(truth, prediction, binWidth);
+    } else {
+        score = 0.5 * (rule.score(prediction, truth, binWidth) + rule.score(truth, prediction, binWidth));
+    }
+
+    return rule.informational && units === 'bits' ? score / Math.LN2 : score;
+}
@@ -0,0 +1,215 @@
+/**
+ * AI 2027 - Statistics Widget
+ * Summary Statistics - shows the median, mode, expected arrival and credible intervals
+ * of every visible distribution
+ */
+
+import { calculateSummaryStatistics, yearToPeriodIndex } from './statistics.js';
+
+/**
+ * Creates a Summary Statistics widget for the visible distributions
+ * @param {string} containerId - The ID of the HTML element to insert the widget into
+ * @param {Object} options - Widget configuration options
+ * @param {Array<Object>} options.distributions - Array of distribution objects with id, name, color and values
+ * @param {Object} options.visibilityState - Object mapping distribution indices to visibility booleans
+ * @param {Object} options.timeAxis - Time axis of the interactive widget (from getTimeAxis())
+ * @param {Array<number>} [options.intervals=[0.8]] - Central credible interval levels in (0, 1)
+ */
+export function createStatisticsWidget(containerId, options) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        console.error(`Container with ID '${containerId}' not found`);
+        return;
+    }
+
+    let intervals = options.intervals || [0.8];
+
+    // Create main container
+    const mainContainer = document.createElement('div');
+    mainContainer.style.width = '100%';
+    mainContainer.style.fontFamily = '-apple-system, BlinkMacSystemFont, sans-serif';
+
+    // Create statistics box
+    const statisticsBox = document.createElement('div');
+    statisticsBox.style.display = 'flex';
+    statisticsBox.style.flexDirection = 'column';
+    statisticsBox.style.alignItems = 'center';
+    statisticsBox.style.gap = '15px';
+    statisticsBox.style.padding = '20px';
+    statisticsBox.style.border = '3px solid #2c3e50';
+    statisticsBox.style.borderRadius = '8px';
+    statisticsBox.style.backgroundColor = '#f8f9fa';
+    statisticsBox.style.boxShadow = '0 2px 4px rgba(0,0,0,0.1)';
+
+    // Add title for the statistics box
+    const title = document.createElement('div');
+    title.textContent = 'Summary Statistics';
+    title.style.fontWeight = 'bold';
+    title.style.fontSize = '16px';
+    title.style.color = '#2c3e50';
+    title.style.textAlign = 'center';
+
+    // Create interval levels input
+    const intervalsContainer = document.createElement('div');
+    intervalsContainer.style.display = 'flex';
+    intervalsContainer.style.justifyContent = 'center';
+    intervalsContainer.style.alignItems = 'center';
+    intervalsContainer.style.gap = '12px';
+
+    const intervalsLabel = document.createElement('label');
+    intervalsLabel.textContent = 'Intervals (%):';
+    intervalsLabel.style.fontWeight = 'bold';
+    intervalsLabel.style.color = '#2c3e50';
+    intervalsLabel.style.fontSize = '14px';
+
+    const intervalsInput = document.createElement('input');
+    intervalsInput.type = 'text';
+    intervalsInput.style.padding = '4px 8px';
+    intervalsInput.style.border = '1px solid #ccc';
+    intervalsInput.style.borderRadius = '4px';
+    intervalsInput.style.fontSize = '14px';
+    intervalsInput.style.width = '120px';
+    intervalsInput.addEventListener('change', () => {
+        // Accept a comma-separated list of percentages, ignoring invalid entries
+        const levels = intervalsInput.value
+            .split(',')
+            .map(part => parseFloat(part) / 100)
+            .filter(level => level > 0 && level < 1);
+        if (levels.length > 0) {
+            setIntervals(levels);
+        } else {
+            updateIntervalsInput();
+        }
+    });
+
+    intervalsContainer.appendChild(intervalsLabel);
+    intervalsContainer.appendChild(intervalsInput);
+
+    // Create results section
+    const resultsSection = document.createElement('div');
+    resultsSection.style.width = '100%';
+    resultsSection.style.overflowX = 'auto';
+
+    statisticsBox.appendChild(title);
+    statisticsBox.appendChild(intervalsContainer);
+    statisticsBox.appendChild(resultsSection);
+    mainContainer.appendChild(statisticsBox);
+
+    /**
+     * Show the current interval levels in the input
+     */
+    function updateIntervalsInput() {
+        intervalsInput.value = intervals.map(level => Math.round(level * 1000) / 10).join(', ');
+    }
+
+    /**
+     * Format the expected arrival (before the tail bin) with the tail bin's probability
+     */
+    function formatMean(mean) {
+        const tail = `tail ${Math.round(mean.tailProbability * 100)}%`;
+        if (mean.year === null) {
+            return tail;
+        }
+        const period = options.timeAxis.formatPeriod(yearToPeriodIndex(mean.year, options.timeAxis));
+        return `${period} (${tail})`;
+    }
+
+    /**
+     * Update statistics for all visible distributions
+     */
+    function updateResults() {
+        // Clear results section
+        resultsSection.innerHTML = '';
+
+        const timeAxis = options.timeAxis;
+        const visible = (options.distributions || [])
+            .filter((_, index) => options.visibilityState && options.visibilityState[index] === true);
+
+        if (!timeAxis || visible.length === 0) {
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.style.margin = '0 auto';
+        table.style.borderCollapse = 'collapse';
+        table.style.fontFamily = 'monospace';
+        table.style.fontSize = '13px';
+
+        // Header row
+        const headers = ['', 'Median', 'Mode', 'Mean arrival',
+            ...intervals.map(level => `${Math.round(level * 1000) / 10}% interval`)];
+        const headerRow = document.createElement('tr');
+        headers.forEach(text => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = text;
+            th.style.padding = '4px 8px';
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        // One row per visible distribution
+        visible.forEach(distribution => {
+            const statistics = calculateSummaryStatistics(distribution.values, timeAxis, { intervals });
+            const tr = document.createElement('tr');
+
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = distribution.name;
+            th.style.padding = '4px 8px';
+            th.style.textAlign = 'right';
+            th.style.color = distribution.color;
+            tr.appendChild(th);
+
+            const cells = [
+                timeAxis.formatPeriod(statistics.median),
+                timeAxis.formatPeriod(statistics.mode),
+                formatMean(statistics.mean),
+                ...statistics.intervals.map(interval => (
+                    `${timeAxis.formatPeriod(interval.lower)} – ${timeAxis.formatPeriod(interval.upper)}`
+                ))
+            ];
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                td.style.padding = '4px 8px';
+                td.style.textAlign = 'center';
+                tr.appendChild(td);
+            });
+
+            table.appendChild(tr);
+        });
+
+        resultsSection.appendChild(table);
+    }
+
+    /**
+     * Set the credible interval levels
+     */
+    function setIntervals(levels) {
+        intervals = levels.filter(level => level > 0 && level < 1);
+        updateIntervalsInput();
+        updateResults();
+    }
+
+    // Append to container
+    container.appendChild(mainContainer);
+
+    // Initialize display
+    updateIntervalsInput();
+    updateResults();
+
+    // Return methods for external control
+    return {
+        updateDistributions: (newDistributions) => {
+            options.distributions = newDistributions;
+            updateResults();
+        },
+        setVisibilityState: (newVisibilityState) => {
+            options.visibilityState = newVisibilityState;
+            updateResults();
+        },
+        setIntervals,
+        getIntervals: () => [...intervals]
+    };
+}
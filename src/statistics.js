@@ -0,0 +1,147 @@
+/**
+ * Statistics Module
+ * Summary statistics of a distribution over the time axis bins
+ */
+
+import { normalizeDistribution } from './normalization.js';
+
+/**
+ * Find the first bin at which the cumulative probability reaches a quantile
+ *
+ * @param {Array<number>} values - Non-negative per-bin values (normalized internally)
+ * @param {number} quantile - Quantile in [0, 1]
+ * @returns {number} Bin index
+ */
+export function findQuantileIndex(values, quantile) {
+    const probabilities = normalizeDistribution(values);
+    const tolerance = 1e-9; // Absorb rounding in the cumulative sum
+
+    let cumulativeProbability = 0;
+    for (let i = 0; i < probabilities.length; i++) {
+        cumulativeProbability += probabilities[i];
+        if (cumulativeProbability >= quantile - tolerance) {
+            return i;
+        }
+    }
+    return probabilities.length - 1;
+}
+
+/**
+ * Calculate summary statistics of a distribution
+ *
+ * The tail bin is open-ended (it includes "never"), so the expected arrival
+ * date is taken over the other bins only, conditional on arrival before the
+ * tail, and the tail probability is reported alongside it
+ *
+ * @param {Array<number>} values - Non-negative per-bin values (normalized internally)
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @param {Object} [options] - Statistics options
+ * @param {Array<number>} [options.intervals=[0.8]] - Central credible interval levels in (0, 1)
+ * @returns {Object} Median, mode and interval bin indices, and the expected arrival
+ */
+export function calculateSummaryStatistics(values, timeAxis, options = {}) {
+    const { intervals = [0.8] } = options;
+    if (values.length !== timeAxis.numPeriods) {
+        throw new Error('Distribution must have one value per time axis bin');
+    }
+    if (intervals.some(level => !(level > 0 && level < 1))) {
+        throw new Error('Interval levels must be between 0 and 1');
+    }
+
+    const probabilities = normalizeDistribution(values);
+    const tailIndex = timeAxis.numPeriods - 1;
+
+    // Mode: most probable bin (first one on ties)
+    const mode = probabilities.indexOf(Math.max(...probabilities));
+
+    // Expected arrival over the bounded bins, using bin midpoints in decimal years
+    const tailProbability = probabilities[tailIndex];
+    let expectedYear = null;
+    if (tailProbability < 1) {
+        let weightedYears = 0;
+        for (let i = 0; i < tailIndex; i++) {
+            weightedYears += probabilities[i] * (timeAxis.startYear + (i + 0.5) / timeAxis.binsPerYear);
+        }
+        expectedYear = weightedYears / (1 - tailProbability);
+    }
+
+    return {
+        median: findQuantileIndex(probabilities, 0.5),
+        mode,
+        mean: {
+            year: expectedYear,
+            tailProbability
+        },
+        intervals: intervals.map(level => ({
+            level,
+            lower: findQuantileIndex(probabilities, (1 - level) / 2),
+            upper: findQuantileIndex(probabilities, 1 - (1 - level) / 2)
+        }))
+    };
+}
+
+/**
+ * Bin index that contains a decimal year
+ *
+ * @param {number} year - Decimal year (e.g. 2031.4)
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @returns {number} Bin index, clamped to the axis
+ */
+export function yearToPeriodIndex(year, timeAxis) {
+    const index = Math.floor((year - timeAxis.startYear) * timeAxis.binsPerYear);
+    return Math.max(0, Math.min(timeAxis.numPeriods - 1, index));
+}
+
+/**
+ * Normalized cumulative distribution: P(arrival by the end of each bin)
+ *
+ * @param {Array<number>} values - Non-negative per-bin values
+ * @returns {Array<number>} Cumulative probabilities (all 0 for a zero vector)
+ */
+export function toCumulative(values) {
+    const totalMass = values.reduce((sum, val) => sum + val, 0);
+    let cumulativeMass = 0;
+    return values.map(val => {
+        cumulativeMass += val;
+        return totalMass > 0 ? cumulativeMass / totalMass : 0;
+    });
+}
+
+/**
+ * Set one point of a cumulative distribution, as when drawing in the cumulative view
+ * Earlier points are lowered and later points raised where needed so the curve
+ * stays monotone, and the tail bin always closes it at 1
+ *
+ * @param {Array<number>} cdf - Cumulative probabilities
+ * @param {number} periodIndex - Bin to set (the tail bin cannot be set)
+ * @param {number} probability - New cumulative probability in [0, 1]
+ * @returns {Array<number>} New cumulative probabilities
+ */
+export function setCumulativePoint(cdf, periodIndex, probability) {
+    const tailIndex = cdf.length - 1;
+    const result = [...cdf];
+    if (periodIndex !== tailIndex) {
+        result[periodIndex] = probability;
+        for (let i = 0; i < periodIndex; i++) {
+            result[i] = Math.min(result[i], probability);
+        }
+        for (let i = periodIndex + 1; i < tailIndex; i++) {
+            result[i] = Math.max(result[i], probability);
+        }
+    }
+    result[tailIndex] = 1;
+    return result;
+}
+
+/**
+ * Per-bin mass of a cumulative distribution, scaled so the largest bin is at a peak height
+ *
+ * @param {Array<number>} cdf - Monotone cumulative probabilities ending at 1
+ * @param {number} [peak=1] - Value of the largest bin
+ * @returns {Array<number>} Per-bin values
+ */
+export function cumulativeToMass(cdf, peak = 1) {
+    const masses = cdf.map((val, i) => val - (i > 0 ? cdf[i - 1] : 0));
+    const maxMass = Math.max(...masses);
+    return masses.map(mass => mass * peak / maxMass);
+}
@@ -0,0 +1,185 @@
+/**
+ * Storage Module
+ * Local persistence of forecasts: an autosaved working state and named saved
+ * forecasts with timestamps
+ *
+ * Forecasts are stored as URL state fragments (see url-codec.js), so they
+ * restore through the same path as shared links. Storage goes through an
+ * adapter with getItem, setItem and removeItem, like window.localStorage.
+ */
+
+/**
+ * Create an adapter that keeps items in memory (e.g. for tests, or when
+ * localStorage is unavailable)
+ *
+ * @returns {Object} Adapter with getItem, setItem and removeItem
+ */
+export function createMemoryAdapter() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: (key) => {
+            items.delete(key);
+        }
+    };
+}
+
+/**
+ * The browser's localStorage, or null where it is unavailable (e.g. blocked cookies)
+ */
+function getLocalStorage() {
+    try {
+        return window.localStorage || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Create a store of forecasts
+ *
+ * @param {Object} [options] - Store options
+ * @param {Object} [options.adapter] - Storage adapter (defaults to localStorage)
+ * @param {string} [options.key='ai-2027-widgets'] - Prefix of the storage keys
+ * @param {Function} [options.now] - Clock returning milliseconds, for timestamps
+ * @returns {Object} Store with autosave, getAutosave, clearAutosave, save, list, rename, load and delete
+ */
+export function createForecastStore(options = {}) {
+    const { key = 'ai-2027-widgets', now = () => Date.now() } = options;
+    const adapter = options.adapter || getLocalStorage() || createMemoryAdapter();
+    const autosaveKey = `${key}:autosave`;
+    const forecastsKey = `${key}:forecasts`;
+    const nextIdKey = `${key}:next-id`;
+
+    /**
+     * Read a JSON item, treating missing or corrupt items as absent
+     */
+    function readJson(itemKey) {
+        const text = adapter.getItem(itemKey);
+        if (text === null || text === undefined) return null;
+        try {
+            return JSON.parse(text);
+        } catch {
+            return null;
+        }
+    }
+
+    function readForecasts() {
+        const forecasts = readJson(forecastsKey);
+        return Array.isArray(forecasts) ? forecasts : [];
+    }
+
+    function writeForecasts(forecasts) {
+        adapter.setItem(forecastsKey, JSON.stringify(forecasts));
+    }
+
+    /**
+     * Take the next forecast id from the counter stored next to the list
+     * Ids are never reused, even after the newest forecast is deleted. The
+     * highest saved id is a floor, for lists saved without a counter
+     */
+    function takeNextId(forecasts) {
+        const stored = Number(readJson(nextIdKey));
+        const highest = forecasts.reduce((max, entry) => Math.max(max, Number(entry.id) || 0), 0);
+        const id = Math.max(Number.isInteger(stored) ? stored : 0, highest + 1);
+        adapter.setItem(nextIdKey, JSON.stringify(id + 1));
+        return String(id);
+    }
+
+    function validateName(name) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Forecast name is required');
+        }
+        return name.trim();
+    }
+
+    function findIndex(forecasts, id) {
+        const index = forecasts.findIndex(forecast => forecast.id === id);
+        if (index < 0) {
+            throw new Error(`Unknown forecast: ${id}`);
+        }
+        return index;
+    }
+
+    return {
+        /**
+         * Save the working state, replacing the previous autosave
+         * @param {string} fragment - URL state fragment
+         */
+        autosave(fragment) {
+            adapter.setItem(autosaveKey, JSON.stringify({ fragment, savedAt: now() }));
+        },
+
+        /**
+         * @returns {Object|null} { fragment, savedAt } of the last autosave
+         */
+        getAutosave() {
+            const saved = readJson(autosaveKey);
+            return saved && typeof saved.fragment === 'string' ? saved : null;
+        },
+
+        clearAutosave() {
+            adapter.removeItem(autosaveKey);
+        },
+
+        /**
+         * Save a named forecast
+         * @param {string} name - Display name
+         * @param {string} fragment - URL state fragment
+         * @returns {Object} The saved forecast { id, name, fragment, createdAt, updatedAt }
+         */
+        save(name, fragment) {
+            const trimmedName = validateName(name);
+            const forecasts = readForecasts();
+            const timestamp = now();
+            const forecast = {
+                id: takeNextId(forecasts),
+                name: trimmedName,
+                fragment,
+                createdAt: timestamp,
+                updatedAt: timestamp
+            };
+            forecasts.push(forecast);
+            writeForecasts(forecasts);
+            return { ...forecast };
+        },
+
+        /**
+         * @returns {Array<Object>} Saved forecasts, most recently updated first
+         */
+        list() {
+            return readForecasts()
+                .map(forecast => ({ ...forecast }))
+                .sort((a, b) => b.updatedAt - a.updatedAt);
+        },
+
+        /**
+         * Rename a saved forecast
+         * @returns {Object} The renamed forecast
+         */
+        rename(id, name) {
+            const forecasts = readForecasts();
+            const index = findIndex(forecasts, id);
+            forecasts[index] = { ...forecasts[index], name: validateName(name), updatedAt: now() };
+            writeForecasts(forecasts);
+            return { ...forecasts[index] };
+        },
+
+        /**
+         * @returns {Object} The saved forecast with this id
+         */
+        load(id) {
+            const forecasts = readForecasts();
+            return { ...forecasts[findIndex(forecasts, id)] };
+        },
+
+        delete(id) {
+            const forecasts = readForecasts();
+            forecasts.splice(findIndex(forecasts, id), 1);
+            writeForecasts(forecasts);
+        }
+    };
+}
@@ -0,0 +1,297 @@
+/**
+ * SVG Context Module
+ * A recorder implementing the subset of the canvas 2D context API used by the
+ * widgets, which turns the drawing calls into an SVG document
+ *
+ * Paths are emitted in user space with the current transform as a transform
+ * attribute, clipping is emitted as nested clip paths, and linear gradients
+ * as gradient definitions.
+ */
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const TEXT_ANCHORS = {
+    left: 'start',
+    start: 'start',
+    center: 'middle',
+    right: 'end',
+    end: 'end'
+};
+
+const DOMINANT_BASELINES = {
+    top: 'text-before-edge',
+    hanging: 'hanging',
+    middle: 'central',
+    alphabetic: 'alphabetic',
+    ideographic: 'ideographic',
+    bottom: 'text-after-edge'
+};
+
+/**
+ * Escape text for use in XML content and attribute values
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round coordinates so the output stays compact
+ */
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Multiply two affine transforms [a, b, c, d, e, f]
+ */
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+/**
+ * Create a canvas-2D-compatible context that records an SVG document
+ *
+ * @param {number} width - Width of the drawing in pixels
+ * @param {number} height - Height of the drawing in pixels
+ * @param {Object} [options] - Recorder options
+ * @param {Function} [options.measureText] - (text, font) => width in pixels; defaults to an estimate
+ *   from the font size, so pass a real canvas measurement when one is available
+ * @returns {Object} Context with the canvas drawing methods, plus toSvg()
+ */
+export function createSvgContext(width, height, options = {}) {
+    const elements = [];
+    const definitions = [];
+    let nextId = 1;
+    let path = [];
+    const stack = [];
+
+    // Drawing state saved and restored by save() and restore()
+    let state = {
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        lineDash: [],
+        transform: IDENTITY,
+        clipId: null
+    };
+
+    /**
+     * Paint attributes for a fill or stroke style (colors with alpha get a separate opacity)
+     */
+    function paintAttributes(property, style) {
+        if (style && style.gradientId) {
+            return `${property}="url(#${style.gradientId})"`;
+        }
+        const rgba = String(style).match(/^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/);
+        if (rgba) {
+            return `${property}="rgb(${rgba[1]}, ${rgba[2]}, ${rgba[3]})" ${property}-opacity="${rgba[4]}"`;
+        }
+        return `${property}="${escapeXml(style)}"`;
+    }
+
+    /**
+     * Attributes shared by all shapes: transform and clipping
+     */
+    function commonAttributes() {
+        const attributes = [];
+        if (state.transform.some((value, i) => value !== IDENTITY[i])) {
+            attributes.push(`transform="matrix(${state.transform.map(formatNumber).join(' ')})"`);
+        }
+        if (state.clipId) {
+            attributes.push(`clip-path="url(#${state.clipId})"`);
+        }
+        return attributes;
+    }
+
+    function strokeAttributes() {
+        const attributes = [
+            paintAttributes('stroke', state.strokeStyle),
+            `stroke-width="${formatNumber(state.lineWidth)}"`
+        ];
+        if (state.lineDash.length > 0) {
+            attributes.push(`stroke-dasharray="${state.lineDash.map(formatNumber).join(' ')}"`);
+        }
+        return attributes;
+    }
+
+    function emit(tag, attributes, content = null) {
+        const attributeText = attributes.filter(Boolean).join(' ');
+        elements.push(content === null
+            ? `<${tag} ${attributeText}/>`
+            : `<${tag} ${attributeText}>${content}</${tag}>`);
+    }
+
+    function pathData() {
+        return path.join(' ');
+    }
+
+    /**
+     * Font size in pixels from a CSS font shorthand
+     */
+    function getFontSize(font) {
+        const match = String(font).match(/([\d.]+)px/);
+        return match ? parseFloat(match[1]) : 10;
+    }
+
+    return {
+        get fillStyle() { return state.fillStyle; },
+        set fillStyle(value) { state.fillStyle = value; },
+        get strokeStyle() { return state.strokeStyle; },
+        set strokeStyle(value) { state.strokeStyle = value; },
+        get lineWidth() { return state.lineWidth; },
+        set lineWidth(value) { state.lineWidth = value; },
+        get font() { return state.font; },
+        set font(value) { state.font = value; },
+        get textAlign() { return state.textAlign; },
+        set textAlign(value) { state.textAlign = value; },
+        get textBaseline() { return state.textBaseline; },
+        set textBaseline(value) { state.textBaseline = value; },
+
+        save() {
+            stack.push({ ...state, lineDash: [...state.lineDash] });
+        },
+        restore() {
+            if (stack.length > 0) {
+                state = stack.pop();
+            }
+        },
+        translate(x, y) {
+            state.transform = multiply(state.transform, [1, 0, 0, 1, x, y]);
+        },
+        rotate(angle) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            state.transform = multiply(state.transform, [cos, sin, -sin, cos, 0, 0]);
+        },
+        scale(x, y) {
+            state.transform = multiply(state.transform, [x, 0, 0, y, 0, 0]);
+        },
+        setLineDash(segments) {
+            state.lineDash = [...segments];
+        },
+        getLineDash() {
+            return [...state.lineDash];
+        },
+
+        beginPath() {
+            path = [];
+        },
+        moveTo(x, y) {
+            path.push(`M${formatNumber(x)} ${formatNumber(y)}`);
+        },
+        lineTo(x, y) {
+            path.push(`L${formatNumber(x)} ${formatNumber(y)}`);
+        },
+        closePath() {
+            path.push('Z');
+        },
+        rect(x, y, w, h) {
+            path.push(`M${formatNumber(x)} ${formatNumber(y)}`, `h${formatNumber(w)}`, `v${formatNumber(h)}`,
+                `h${formatNumber(-w)}`, 'Z');
+        },
+        arc(x, y, radius, startAngle, endAngle) {
+            const start = [x + radius * Math.cos(startAngle), y + radius * Math.sin(startAngle)];
+            const sweep = endAngle - startAngle;
+            path.push(`${path.length > 0 ? 'L' : 'M'}${formatNumber(start[0])} ${formatNumber(start[1])}`);
+            if (Math.abs(sweep) >= 2 * Math.PI - 1e-9) {
+                // Full circle: two half arcs
+                const opposite = [x - radius * Math.cos(startAngle), y - radius * Math.sin(startAngle)];
+                path.push(`A${formatNumber(radius)} ${formatNumber(radius)} 0 1 1 ${formatNumber(opposite[0])} ${formatNumber(opposite[1])}`,
+                    `A${formatNumber(radius)} ${formatNumber(radius)} 0 1 1 ${formatNumber(start[0])} ${formatNumber(start[1])}`);
+            } else {
+                const end = [x + radius * Math.cos(endAngle), y + radius * Math.sin(endAngle)];
+                const largeArc = Math.abs(sweep) > Math.PI ? 1 : 0;
+                const sweepFlag = sweep > 0 ? 1 : 0;
+                path.push(`A${formatNumber(radius)} ${formatNumber(radius)} 0 ${largeArc} ${sweepFlag} ${formatNumber(end[0])} ${formatNumber(end[1])}`);
+            }
+        },
+
+        fill() {
+            if (path.length === 0) return;
+            emit('path', [`d="${pathData()}"`, paintAttributes('fill', state.fillStyle), ...commonAttributes()]);
+        },
+        stroke() {
+            if (path.length === 0) return;
+            emit('path', [`d="${pathData()}"`, 'fill="none"', ...strokeAttributes(), ...commonAttributes()]);
+        },
+        clip() {
+            // Nested clip paths intersect with the enclosing one
+            const id = `clip${nextId++}`;
+            const attributes = [`d="${pathData()}"`];
+            if (state.transform.some((value, i) => value !== IDENTITY[i])) {
+                attributes.push(`transform="matrix(${state.transform.map(formatNumber).join(' ')})"`);
+            }
+            const parent = state.clipId ? ` clip-path="url(#${state.clipId})"` : '';
+            definitions.push(`<clipPath id="${id}"${parent}><path ${attributes.join(' ')}/></clipPath>`);
+            state.clipId = id;
+        },
+        fillRect(x, y, w, h) {
+            emit('rect', [`x="${formatNumber(x)}"`, `y="${formatNumber(y)}"`, `width="${formatNumber(w)}"`,
+                `height="${formatNumber(h)}"`, paintAttributes('fill', state.fillStyle), ...commonAttributes()]);
+        },
+        strokeRect(x, y, w, h) {
+            emit('rect', [`x="${formatNumber(x)}"`, `y="${formatNumber(y)}"`, `width="${formatNumber(w)}"`,
+                `height="${formatNumber(h)}"`, 'fill="none"', ...strokeAttributes(), ...commonAttributes()]);
+        },
+        fillText(text, x, y) {
+            emit('text', [
+                `x="${formatNumber(x)}"`,
+                `y="${formatNumber(y)}"`,
+                `style="font: ${escapeXml(state.font)}"`,
+                `text-anchor="${TEXT_ANCHORS[state.textAlign] || 'start'}"`,
+                `dominant-baseline="${DOMINANT_BASELINES[state.textBaseline] || 'alphabetic'}"`,
+                paintAttributes('fill', state.fillStyle),
+                ...commonAttributes()
+            ], escapeXml(text));
+        },
+        measureText(text) {
+            const measured = options.measureText
+                ? options.measureText(String(text), state.font)
+                : String(text).length * getFontSize(state.font) * 0.6;
+            return { width: measured };
+        },
+        createLinearGradient(x0, y0, x1, y1) {
+            const gradientId = `gradient${nextId++}`;
+            const stops = [];
+            definitions.push(() => (
+                `<linearGradient id="${gradientId}" gradientUnits="userSpaceOnUse" x1="${formatNumber(x0)}" `
+                + `y1="${formatNumber(y0)}" x2="${formatNumber(x1)}" y2="${formatNumber(y1)}">${stops.join('')}</linearGradient>`
+            ));
+            return {
+                gradientId,
+                addColorStop(offset, color) {
+                    const rgba = String(color).match(/^rgba\((.+),\s*([\d.]+)\s*\)$/);
+                    stops.push(rgba
+                        ? `<stop offset="${offset}" stop-color="rgb(${rgba[1]})" stop-opacity="${rgba[2]}"/>`
+                        : `<stop offset="${offset}" stop-color="${escapeXml(color)}"/>`);
+                }
+            };
+        },
+
+        /**
+         * The recorded drawing as an SVG document
+         */
+        toSvg() {
+            const defs = definitions.map(definition => (typeof definition === 'function' ? definition() : definition));
+            return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" `
+                + `viewBox="0 0 ${width} ${height}">`
+                + (defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '')
+                + elements.join('')
+                + '</svg>';
+        }
+    };
+}
@@ -0,0 +1,125 @@
+/**
+ * Time Axis Module
+ * Describes the binning of the forecast horizon shared by all widgets
+ */
+
+// Sub-period names for the common bin granularities
+const SUB_PERIOD_NAMES = {
+    1: [],
+    2: ['H1', 'H2'],
+    4: ['Q1', 'Q2', 'Q3', 'Q4'],
+    12: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+};
+
+// Axis titles for the common bin granularities
+const PERIOD_UNITS = {
+    1: 'Years',
+    2: 'Half-years',
+    4: 'Quarters',
+    12: 'Months'
+};
+
+/**
+ * Create a time axis description
+ * The final bin is a tail bin covering everything from endYear onwards
+ * (including "never"), so there are (endYear - startYear) * binsPerYear + 1 bins
+ *
+ * @param {Object} [config] - Time axis configuration
+ * @param {number} [config.startYear=2026] - First year on the axis
+ * @param {number} [config.endYear=2040] - Year at which the tail bin starts
+ * @param {number} [config.binsPerYear=4] - Number of bins per year (e.g. 1, 4, 12)
+ * @param {string|Array<string>} [config.tailLabel] - Label for the tail bin, one entry (or '\n'-separated part) per line
+ * @returns {Object} Time axis description and label helpers
+ */
+export function createTimeAxis(config = {}) {
+    const {
+        startYear = 2026,
+        endYear = 2040,
+        binsPerYear = 4,
+        tailLabel = [`>${endYear - 1}`, 'or AGI never']
+    } = config;
+
+    if (!Number.isInteger(startYear) || !Number.isInteger(endYear)) {
+        throw new Error('startYear and endYear must be integers');
+    }
+    if (endYear <= startYear) {
+        throw new Error('endYear must be after startYear');
+    }
+    if (!Number.isInteger(binsPerYear) || binsPerYear < 1) {
+        throw new Error('binsPerYear must be a positive integer');
+    }
+
+    const numYears = endYear - startYear + 1;
+    const numPeriods = (numYears - 1) * binsPerYear + 1;
+    const tailLines = Array.isArray(tailLabel) ? [...tailLabel] : String(tailLabel).split('\n');
+    const subPeriodNames = SUB_PERIOD_NAMES[binsPerYear]
+        || Array.from({ length: binsPerYear }, (_, i) => `P${i + 1}`);
+
+    /**
+     * Year that a bin falls in
+     */
+    function getPeriodYear(periodIndex) {
+        return startYear + Math.floor(periodIndex / binsPerYear);
+    }
+
+    /**
+     * Name of a bin within its year (e.g. 'Q2'), empty for yearly bins
+     */
+    function getSubPeriodLabel(periodIndex) {
+        return subPeriodNames[periodIndex % binsPerYear] || '';
+    }
+
+    /**
+     * Check whether a bin is the open-ended tail bin
+     */
+    function isTailPeriod(periodIndex) {
+        return periodIndex === numPeriods - 1;
+    }
+
+    /**
+     * Human-readable bin label (e.g. '2031 Q2')
+     */
+    function formatPeriod(periodIndex) {
+        if (isTailPeriod(periodIndex)) {
+            return tailLines.join(' ');
+        }
+        const subPeriod = getSubPeriodLabel(periodIndex);
+        const year = getPeriodYear(periodIndex);
+        return subPeriod ? `${year} ${subPeriod}` : `${year}`;
+    }
+
+    return {
+        startYear,
+        endYear,
+        binsPerYear,
+        numYears,
+        numPeriods,
+        tailLabel: tailLines,
+        periodUnit: PERIOD_UNITS[binsPerYear] || 'Periods',
+        getPeriodYear,
+        getSubPeriodLabel,
+        isTailPeriod,
+        formatPeriod
+    };
+}
+
+/**
+ * Integrate a cumulative distribution function over the bins of a time axis
+ * The tail bin receives whatever probability remains at the end year
+ *
+ * @param {Function} cdf - CDF of the arrival time in decimal years, with cdf(startYear) = 0
+ * @param {Object} timeAxis - Time axis from createTimeAxis
+ * @returns {Array<number>} Probability per bin, summing to 1
+ */
+export function discretizeCdf(cdf, timeAxis) {
+    const tailIndex = timeAxis.numPeriods - 1;
+    const probabilities = [];
+    for (let i = 0; i < tailIndex; i++) {
+        const binStart = timeAxis.startYear + i / timeAxis.binsPerYear;
+        const binEnd = timeAxis.startYear + (i + 1) / timeAxis.binsPerYear;
+        probabilities.push(Math.max(0, cdf(binEnd) - cdf(binStart)));
+    }
+    probabilities.push(Math.max(0, 1 - cdf(timeAxis.endYear)));
+
+    return probabilities;
+}
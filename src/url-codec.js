@@ -0,0 +1,332 @@
+/**
+ * URL Codec Module
+ * Encoding and decoding of the interactive widget's state in the URL fragment
+ *
+ * Version 2 fragments have the form:
+ *
+ *   v=2&d=id1:values1,id2:values2&a=id1&s=10[&p=id1:0-3.10]
+ *
+ * - d: each series' values, quantized to 1/100000 and written as zigzag
+ *   deltas from the previous bin in a base64url varint (small steps and
+ *   flat stretches take one character per bin)
+ * - a: id of the active series
+ * - s: one visibility flag per series in d, in the same order
+ * - p: pinned bins as '.'-separated ranges
+ *
+ * Version 1 fragments ("#d=..." without v) hold only values, as fixed-width
+ * two-character base36 thousandths, and pinned bins. They still decode, with
+ * the first series active and the only one visible.
+ *
+ * Widgets with a namespace prefix their keys with it (e.g. "m1.d=..."), so
+ * several widgets can share one fragment. Other parameters are left as they are.
+ */
+
+export const URL_STATE_VERSION = 2;
+
+const V2_SCALE = 100000;
+const V1_SCALE = 1000;
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const VARINT_CONTINUE = 32; // Sixth bit of a character: more characters follow
+const VARINT_PAYLOAD = 31; // Low five bits of a character
+// Deltas between values in 0-1 zigzag to at most 2 * V2_SCALE, which fits in four characters
+const VARINT_MAX_LENGTH = 4;
+const STATE_KEYS = ['v', 'd', 'a', 's', 'p'];
+
+/**
+ * Fragment key of a state parameter within a namespace
+ */
+function toKey(name, namespace) {
+    return namespace ? `${namespace}.${name}` : name;
+}
+
+/**
+ * Split a fragment into its '&'-separated parameters, keeping them as written
+ */
+function splitFragment(fragment) {
+    return String(fragment).replace(/^#/, '').split('&').filter(part => part !== '');
+}
+
+/**
+ * Whether a fragment parameter is one of a namespace's state keys
+ */
+function isStateParameter(part, namespace) {
+    const key = part.split('=')[0];
+    return STATE_KEYS.some(name => toKey(name, namespace) === key);
+}
+
+/**
+ * Encode values as zigzag deltas in base64url varints
+ */
+function encodeValuesV2(values) {
+    let previous = 0;
+    let encoded = '';
+    values.forEach(value => {
+        const quantized = Math.round(Math.max(0, value) * V2_SCALE);
+        const delta = quantized - previous;
+        previous = quantized;
+        // Zigzag: 0, -1, 1, -2, 2, ... => 0, 1, 2, 3, 4, ...
+        let remaining = delta < 0 ? -2 * delta - 1 : 2 * delta;
+        do {
+            const payload = remaining % VARINT_CONTINUE;
+            remaining = Math.floor(remaining / VARINT_CONTINUE);
+            encoded += BASE64URL[payload + (remaining > 0 ? VARINT_CONTINUE : 0)];
+        } while (remaining > 0);
+    });
+    return encoded;
+}
+
+/**
+ * Decode zigzag-delta base64url varints
+ */
+function decodeValuesV2(encoded) {
+    const values = [];
+    let previous = 0;
+    let remaining = 0;
+    let multiplier = 1;
+    let length = 0;
+    for (const char of encoded) {
+        const digit = BASE64URL.indexOf(char);
+        if (digit < 0) {
+            throw new Error(`Invalid character in values: ${char}`);
+        }
+        if (++length > VARINT_MAX_LENGTH) {
+            throw new Error(`Value longer than ${VARINT_MAX_LENGTH} characters`);
+        }
+        remaining += (digit & VARINT_PAYLOAD) * multiplier;
+        multiplier *= VARINT_CONTINUE;
+        if (digit & VARINT_CONTINUE) continue;
+
+        const delta = remaining % 2 === 0 ? remaining / 2 : -(remaining + 1) / 2;
+        previous += delta;
+        if (previous < 0) {
+            throw new Error('Values must not be negative');
+        }
+        if (!Number.isFinite(previous) || previous > V2_SCALE) {
+            throw new Error(`Invalid value: ${previous / V2_SCALE} (values must be from 0 to 1)`);
+        }
+        values.push(previous / V2_SCALE);
+        remaining = 0;
+        multiplier = 1;
+        length = 0;
+    }
+    if (multiplier !== 1) {
+        throw new Error('Values end in the middle of a number');
+    }
+    return values;
+}
+
+/**
+ * Decode version 1 values: fixed-width two-character base36 thousandths
+ */
+function decodeValuesV1(encoded) {
+    if (encoded.length % 2 !== 0) {
+        throw new Error('Values must be two characters each');
+    }
+    const values = [];
+    for (let i = 0; i < encoded.length; i += 2) {
+        const chunk = encoded.slice(i, i + 2);
+        if (!/^[0-9A-Za-z]{2}$/.test(chunk)) {
+            throw new Error(`Invalid chunk format: ${chunk}`);
+        }
+        const num = parseInt(chunk, 36);
+        if (num > V1_SCALE) {
+            throw new Error(`Invalid value: ${num} from chunk ${chunk}`);
+        }
+        values.push(num / V1_SCALE);
+    }
+    return values;
+}
+
+/**
+ * Encode pinned bin indices as '.'-separated ranges (e.g. 0-3.10)
+ *
+ * @param {Iterable<number>} pins - Pinned bin indices
+ * @returns {string} Encoded ranges
+ */
+export function encodePinnedBins(pins) {
+    const sorted = [...pins].sort((a, b) => a - b);
+    const ranges = [];
+    sorted.forEach(periodIndex => {
+        const last = ranges[ranges.length - 1];
+        if (last && periodIndex === last[1] + 1) {
+            last[1] = periodIndex;
+        } else {
+            ranges.push([periodIndex, periodIndex]);
+        }
+    });
+    return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join('.');
+}
+
+/**
+ * Decode pinned bin ranges
+ *
+ * @param {string} encoded - Ranges from encodePinnedBins
+ * @param {number} numPeriods - Number of bins
+ * @returns {Set<number>|null} Pinned bin indices, or null if any range is invalid
+ */
+export function decodePinnedBins(encoded, numPeriods) {
+    const pins = new Set();
+    for (const range of encoded.split('.')) {
+        const match = range.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) return null;
+        const from = parseInt(match[1], 10);
+        const to = match[2] === undefined ? from : parseInt(match[2], 10);
+        if (to < from || to >= numPeriods) return null;
+        for (let i = from; i <= to; i++) {
+            pins.add(i);
+        }
+    }
+    return pins;
+}
+
+/**
+ * Encode widget state as a version 2 URL fragment (without the leading '#')
+ *
+ * @param {Object} state - Widget state
+ * @param {Array<Object>} state.distributions - Series with id and values
+ * @param {string} [state.activeId] - Id of the active series
+ * @param {boolean[]} [state.visibility] - Visibility flag per series
+ * @param {Object<string, Set<number>>} [state.pinnedBins] - Pinned bins by series id
+ * @param {string} [namespace] - Prefix for the keys, for pages with several widgets
+ * @returns {string} URL fragment
+ */
+export function encodeUrlState(state, namespace) {
+    const { distributions, activeId, visibility, pinnedBins = {} } = state;
+    const params = [`${toKey('v', namespace)}=${URL_STATE_VERSION}`];
+    params.push(`${toKey('d', namespace)}=${distributions.map(dist => `${dist.id}:${encodeValuesV2(dist.values)}`).join(',')}`);
+    if (activeId !== undefined) {
+        params.push(`${toKey('a', namespace)}=${activeId}`);
+    }
+    if (visibility) {
+        params.push(`${toKey('s', namespace)}=${distributions.map((_, index) => (visibility[index] ? '1' : '0')).join('')}`);
+    }
+
+    // Pinned bins, for the series that have any
+    const pinnedParts = distributions
+        .filter(dist => pinnedBins[dist.id] && pinnedBins[dist.id].size > 0)
+        .map(dist => `${dist.id}:${encodePinnedBins(pinnedBins[dist.id])}`);
+    if (pinnedParts.length > 0) {
+        params.push(`${toKey('p', namespace)}=${pinnedParts.join(',')}`);
+    }
+    return params.join('&');
+}
+
+/**
+ * The parameters of a fragment that belong to a namespace's state
+ *
+ * @param {string} fragment - URL fragment, with or without the leading '#'
+ * @param {string} [namespace] - Key prefix
+ * @returns {string} Those parameters, in their original order
+ */
+export function extractUrlState(fragment, namespace) {
+    return splitFragment(fragment).filter(part => isStateParameter(part, namespace)).join('&');
+}
+
+/**
+ * Replace a namespace's state in a fragment, keeping all other parameters
+ *
+ * @param {string} fragment - Current URL fragment, with or without the leading '#'
+ * @param {string} encoded - New state from encodeUrlState with the same namespace
+ * @param {string} [namespace] - Key prefix
+ * @returns {string} Merged fragment (without the leading '#')
+ */
+export function mergeUrlState(fragment, encoded, namespace) {
+    const others = splitFragment(fragment).filter(part => !isStateParameter(part, namespace));
+    return [...others, ...splitFragment(encoded)].join('&');
+}
+
+/**
+ * Decode widget state from a version 1 or 2 URL fragment
+ * Series missing from the fragment are left out of the result, and invalid
+ * pinned bins are skipped; both are reported in warnings
+ *
+ * @param {string} fragment - URL fragment, with or without the leading '#'
+ * @param {Object} config - Widget configuration
+ * @param {string[]} config.seriesIds - Ids of the widget's series
+ * @param {number} config.numPeriods - Number of bins per series
+ * @param {number} [config.floor=0] - Smallest value kept; lower values are raised to it
+ * @param {string} [config.namespace] - Key prefix, as given to encodeUrlState
+ * @returns {Object|null} { version, values, activeId, visibility, pinnedBins, warnings },
+ *   or null if the fragment holds no distributions
+ * @throws {Error} If the distributions are invalid
+ */
+export function decodeUrlState(fragment, config) {
+    const { seriesIds, numPeriods, floor = 0, namespace } = config;
+    const params = new URLSearchParams(String(fragment).replace(/^#/, ''));
+    const getParam = name => params.get(toKey(name, namespace));
+    const distributionsParam = getParam('d');
+    if (!distributionsParam) return null;
+
+    const versionParam = getParam('v');
+    const version = versionParam === null ? 1 : Number(versionParam);
+    if (version !== 1 && version !== URL_STATE_VERSION) {
+        throw new Error(`Unsupported URL state version: ${versionParam}`);
+    }
+    const decodeValues = version === 1 ? decodeValuesV1 : decodeValuesV2;
+
+    const values = {};
+    const order = [];
+    const warnings = [];
+    distributionsParam.split(',').forEach(part => {
+        const [id, encodedValues] = part.split(':');
+        if (!id || !encodedValues) {
+            throw new Error(`Invalid distribution format: ${part}`);
+        }
+        if (!seriesIds.includes(id)) {
+            throw new Error(`Invalid distribution id: ${id}`);
+        }
+        if (Object.prototype.hasOwnProperty.call(values, id)) {
+            throw new Error(`Duplicate distribution id: ${id}`);
+        }
+        const decoded = decodeValues(encodedValues);
+        if (decoded.length !== numPeriods) {
+            throw new Error(`Invalid number of values for ${id}: expected ${numPeriods}, got ${decoded.length}`);
+        }
+        values[id] = decoded.map(value => Math.max(floor, value));
+        order.push(id);
+    });
+
+    const missingIds = seriesIds.filter(id => !order.includes(id));
+    if (missingIds.length > 0) {
+        warnings.push(`Missing series: ${missingIds.join(', ')}`);
+    }
+
+    // Active series and visibility (version 2), ignoring unknown values
+    let activeId = null;
+    const activeParam = getParam('a');
+    if (activeParam !== null) {
+        if (seriesIds.includes(activeParam)) {
+            activeId = activeParam;
+        } else {
+            warnings.push(`Ignoring unknown active series: ${activeParam}`);
+        }
+    }
+    let visibility = null;
+    const visibilityParam = getParam('s');
+    if (visibilityParam !== null) {
+        if (/^[01]*$/.test(visibilityParam) && visibilityParam.length === order.length) {
+            visibility = {};
+            order.forEach((id, index) => {
+                visibility[id] = visibilityParam[index] === '1';
+            });
+        } else {
+            warnings.push(`Ignoring invalid visibility flags: ${visibilityParam}`);
+        }
+    }
+
+    const pinnedBins = {};
+    const pinnedParam = getParam('p');
+    if (pinnedParam) {
+        pinnedParam.split(',').forEach(part => {
+            const [id, encodedPins] = part.split(':');
+            const pins = id && encodedPins ? decodePinnedBins(encodedPins, numPeriods) : null;
+            if (!pins || !seriesIds.includes(id)) {
+                warnings.push(`Ignoring invalid pinned bins: ${part}`);
+                return;
+            }
+            pinnedBins[id] = pins;
+        });
+    }
+
+    return { version, values, activeId, visibility, pinnedBins, warnings };
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for Aggregate Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+    aggregateDistributions,
+    geometricPool,
+    linearPool,
+    medianOfCdfs,
+    AGGREGATION_METHODS
+} from '../src/aggregate.js';
+
+function expectDistribution(actual, expected) {
+    expect(actual).toHaveLength(expected.length);
+    actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 10));
+}
+
+describe('aggregation methods', () => {
+    test('should return a single distribution unchanged, normalized', () => {
+        Object.values(AGGREGATION_METHODS).forEach(method => {
+            expectDistribution(method.aggregate([[1, 2, 1]]), [0.25, 0.5, 0.25]);
+        });
+    });
+
+    test('should average probabilities in a linear pool', () => {
+        expectDistribution(linearPool([[1, 0, 0], [0, 0, 1]]), [0.5, 0, 0.5]);
+        expectDistribution(linearPool([[1, 0, 0], [0, 0, 1]], [3, 1]), [0.75, 0, 0.25]);
+    });
+
+    test('should take renormalized geometric means in a geometric pool', () => {
+        // sqrt(0.5 * 0.2) = sqrt(0.1) and sqrt(0.5 * 0.8) = sqrt(0.4), in the ratio 1 : 2
+        expectDistribution(geometricPool([[0.5, 0.5], [0.2, 0.8]]), [1 / 3, 2 / 3]);
+        expectDistribution(geometricPool([[0.5, 0.5], [0.2, 0.8]], [1, 0]), [0.5, 0.5]);
+        expectDistribution(geometricPool([[0.5, 0.5, 0], [0.1, 0.4, 0.5]]), [1 / 3, 2 / 3, 0]);
+        expect(() => geometricPool([[1, 0], [0, 1]])).toThrow('Distributions have no bins in common');
+    });
+
+    test('should ignore an outlying forecast with the median of CDFs', () => {
+        const early = [0.8, 0.1, 0.1, 0];
+        const late = [0, 0.1, 0.1, 0.8];
+        const outlier = [0, 0, 0, 1];
+
+        expectDistribution(medianOfCdfs([early, early, outlier]), early);
+        expectDistribution(medianOfCdfs([early, late, outlier], [1, 3, 1]), late);
+    });
+
+    test('should give the lower CDF when the weight splits evenly', () => {
+        // CDFs [1, 1, 1] and [0, 0, 1]: the lower is the second distribution's
+        expectDistribution(medianOfCdfs([[1, 0, 0], [0, 0, 1]]), [0, 0, 1]);
+    });
+
+    test('should pick the method by id', () => {
+        const distributions = [[1, 0, 0], [0, 0, 1]];
+
+        expect(aggregateDistributions('linear', distributions)).toEqual(linearPool(distributions));
+        expect(() => aggregateDistributions('mean', distributions)).toThrow('Unknown aggregation method: mean');
+    });
+
+    test('should throw error for invalid distributions and weights', () => {
+        expect(() => linearPool([])).toThrow('At least one distribution is required');
+        expect(() => linearPool([[1, 0], [1]])).toThrow('Distributions must have the same shape');
+        expect(() => linearPool([[1, -1]])).toThrow('Distributions must be finite and non-negative');
+        expect(() => linearPool([[1, 0], [0, 1]], [1])).toThrow('There must be one weight per distribution');
+        expect(() => linearPool([[1, 0], [0, 1]], [1, NaN])).toThrow('Weights must be finite and non-negative');
+        expect(() => linearPool([[1, 0], [0, 1]], [0, 0])).toThrow('At least one weight must be positive');
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * Tests for Colors Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import { DEFAULT_SERIES, hexToRgba, normalizeSeries } from '../src/colors.js';
+
+describe('colors', () => {
+    test('should convert long and short hex colors to rgba', () => {
+        expect(hexToRgba('#007bff', 0.5)).toBe('rgba(0, 123, 255, 0.5)');
+        expect(hexToRgba('#fff', 1)).toBe('rgba(255, 255, 255, 1)');
+    });
+
+    test('should keep the default series unchanged', () => {
+        expect(normalizeSeries(DEFAULT_SERIES)).toEqual(DEFAULT_SERIES);
+    });
+
+    test('should fill in missing names and colors', () => {
+        const series = normalizeSeries([{ id: 'alice' }, { id: 'bob', name: 'Bob' }]);
+
+        expect(series[0]).toEqual({ id: 'alice', name: 'alice', color: '#007bff' });
+        expect(series[1]).toEqual({ id: 'bob', name: 'Bob', color: '#28a745' });
+    });
+
+    test('should throw error for ids that are not URL-safe', () => {
+        expect(() => normalizeSeries([{ id: 'a:b' }])).toThrow('Invalid series id: a:b');
+    });
+
+    test('should throw error for duplicate ids', () => {
+        expect(() => normalizeSeries([{ id: 'a' }, { id: 'a' }])).toThrow('Duplicate series id: a');
+    });
+
+    test('should throw error for invalid colors', () => {
+        expect(() => normalizeSeries([{ id: 'a', color: 'blue' }])).toThrow('Invalid hex color: blue');
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for Data I/O Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import { parseCsv, parseJsonDocument, toCsv, toJsonDocument } from '../src/data-io.js';
+import { createTimeAxis } from '../src/time-axis.js';
+
+describe('data import and export', () => {
+    const timeAxis = createTimeAxis({ startYear: 2026, endYear: 2028, binsPerYear: 2 });
+    const distributions = [
+        { id: 'blue', name: 'Blue', color: '#007bff', values: [0.2, 0.4, 0.2, 0.1, 0.1] },
+        { id: 'red', name: 'Red, revised', color: '#dc3545', values: [1, 1, 1, 1, 4] }
+    ];
+
+    test('should export a JSON document with bin labels and normalized probabilities', () => {
+        const doc = toJsonDocument(distributions, timeAxis);
+
+        expect(doc.format).toBe('ai-2027-widgets');
+        expect(doc.version).toBe(1);
+        expect(doc.timeAxis).toEqual({ startYear: 2026, endYear: 2028, binsPerYear: 2 });
+        expect(doc.bins).toEqual(['2026 H1', '2026 H2', '2027 H1', '2027 H2', '>2027 or AGI never']);
+        expect(doc.series[1]).toEqual({
+            id: 'red',
+            name: 'Red, revised',
+            color: '#dc3545',
+            probabilities: [0.125, 0.125, 0.125, 0.125, 0.5]
+        });
+    });
+
+    test('should round-trip JSON at full precision', () => {
+        const text = JSON.stringify(toJsonDocument(distributions, timeAxis));
+        const series = parseJsonDocument(text, timeAxis);
+
+        expect(series.map(entry => entry.id)).toEqual(['blue', 'red']);
+        series[0].probabilities.forEach((p, i) => {
+            expect(p).toBeCloseTo(distributions[0].values[i], 15);
+        });
+    });
+
+    test('should throw error for invalid JSON documents', () => {
+        const doc = toJsonDocument(distributions, timeAxis);
+
+        expect(() => parseJsonDocument('{', timeAxis)).toThrow('Invalid JSON');
+        expect(() => parseJsonDocument({ ...doc, format: 'other' }, timeAxis)).toThrow('Not an ai-2027-widgets document');
+        expect(() => parseJsonDocument(doc, createTimeAxis())).toThrow('Time axis does not match');
+        expect(() => parseJsonDocument({ ...doc, series: [{ id: 'blue', probabilities: [1, -1, 0, 0, 0] }] }, timeAxis))
+            .toThrow('Series blue has invalid probabilities');
+        expect(() => parseJsonDocument({ ...doc, series: [{ id: 'blue', probabilities: [1] }] }, timeAxis))
+            .toThrow('Series blue must have 5 probabilities');
+    });
+
+    test('should export CSV with one row per bin', () => {
+        const csv = toCsv(distributions, timeAxis);
+        const lines = csv.trim().split('\n');
+
+        expect(lines).toHaveLength(6);
+        expect(lines[0]).toBe('bin,blue,red');
+        expect(lines[1]).toBe('2026 H1,0.2,0.125');
+        expect(lines[5]).toBe('>2027 or AGI never,0.1,0.5');
+    });
+
+    test('should round-trip CSV, including quoted fields and CRLF line endings', () => {
+        const commaAxis = createTimeAxis({ startYear: 2026, endYear: 2028, binsPerYear: 2, tailLabel: 'Later, or never' });
+        const csv = toCsv(distributions, commaAxis).replace(/\n/g, '\r\n').replace('2026 H1', '"2026 H1"');
+        const series = parseCsv(csv, commaAxis);
+
+        expect(series).toEqual([
+            { id: 'blue', probabilities: [0.2, 0.4, 0.2, 0.1, 0.1] },
+            { id: 'red', probabilities: [0.125, 0.125, 0.125, 0.125, 0.5] }
+        ]);
+    });
+
+    test('should throw error for invalid CSV', () => {
+        expect(() => parseCsv('', timeAxis)).toThrow('CSV is empty');
+        expect(() => parseCsv('bin,blue\n2026 H1,1\n', timeAxis)).toThrow('CSV must have one row per bin (5 rows)');
+        const bins = ['2026 H1', '2026 H2', '2027 H1', '2027 H2', '>2027 or AGI never'];
+        expect(() => parseCsv(`bin,blue\n${bins.map((bin, i) => `${bin},${i === 1 ? 'x' : 1}`).join('\n')}\n`, timeAxis))
+            .toThrow('Series blue has invalid probabilities');
+        // Five yearly bins from 2025 instead of five half-year bins from 2026
+        const yearly = createTimeAxis({ startYear: 2025, endYear: 2029, binsPerYear: 1 });
+        expect(() => parseCsv(toCsv(distributions, yearly), timeAxis))
+            .toThrow('Bin 1 is "2025", expected "2026 H1" (the time axis does not match)');
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for Events Module
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import { createEmitter } from '../src/events.js';
+
+describe('event emitter', () => {
+    test('should call listeners in subscription order with the payload', () => {
+        const emitter = createEmitter(['change', 'commit']);
+        const calls = [];
+        emitter.on('change', payload => calls.push(['first', payload]));
+        emitter.on('change', payload => calls.push(['second', payload]));
+        emitter.on('commit', payload => calls.push(['commit', payload]));
+
+        emitter.emit('change', { value: 1 });
+
+        expect(calls).toEqual([['first', { value: 1 }], ['second', { value: 1 }]]);
+    });
+
+    test('should unsubscribe with off or the returned function', () => {
+        const emitter = createEmitter(['change']);
+        const first = vi.fn();
+        const second = vi.fn();
+        emitter.on('change', first);
+        const unsubscribe = emitter.on('change', second);
+
+        emitter.off('change', first);
+        unsubscribe();
+        emitter.emit('change', {});
+
+        expect(first).not.toHaveBeenCalled();
+        expect(second).not.toHaveBeenCalled();
+    });
+
+    test('should keep calling listeners after one throws', () => {
+        const emitter = createEmitter(['change']);
+        const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const listener = vi.fn();
+        emitter.on('change', () => {
+            throw new Error('listener failed');
+        });
+        emitter.on('change', listener);
+
+        emitter.emit('change', {});
+
+        expect(listener).toHaveBeenCalledOnce();
+        expect(errorSpy).toHaveBeenCalledOnce();
+        errorSpy.mockRestore();
+    });
+
+    test('should let a listener unsubscribe itself while being called', () => {
+        const emitter = createEmitter(['change']);
+        const later = vi.fn();
+        const once = () => emitter.off('change', once);
+        emitter.on('change', once);
+        emitter.on('change', later);
+
+        emitter.emit('change', {});
+        emitter.emit('change', {});
+
+        expect(later).toHaveBeenCalledTimes(2);
+    });
+
+    test('should remove all listeners on clear', () => {
+        const emitter = createEmitter(['change']);
+        const listener = vi.fn();
+        emitter.on('change', listener);
+
+        emitter.clear();
+        emitter.emit('change', {});
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should throw error for unknown events and non-function listeners', () => {
+        const emitter = createEmitter(['change']);
+
+        expect(() => emitter.on('chnage', () => {})).toThrow('Unknown event: chnage (expected one of change)');
+        expect(() => emitter.on('change', null)).toThrow('Listener must be a function');
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for History Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createHistory } from '../src/history.js';
+
+describe('history', () => {
+    test('should undo and redo in order', () => {
+        const history = createHistory();
+        history.push('a');
+        history.push('b');
+
+        expect(history.undo('c')).toBe('b');
+        expect(history.undo('b')).toBe('a');
+        expect(history.undo('a')).toBeNull();
+        expect(history.redo('a')).toBe('b');
+        expect(history.redo('b')).toBe('c');
+        expect(history.redo('c')).toBeNull();
+    });
+
+    test('should clear the redo stack on a new edit', () => {
+        const history = createHistory();
+        history.push('a');
+        history.undo('b');
+        expect(history.canRedo()).toBe(true);
+
+        history.push('a');
+        expect(history.canRedo()).toBe(false);
+        expect(history.canUndo()).toBe(true);
+    });
+
+    test('should keep only the first snapshot of a coalesced run', () => {
+        const history = createHistory();
+        history.push('a', 'slider');
+        history.push('b', 'slider');
+        history.push('c', 'slider');
+        history.push('d');
+
+        expect(history.undo('e')).toBe('d');
+        expect(history.undo('d')).toBe('a');
+        expect(history.canUndo()).toBe(false);
+    });
+
+    test('should drop the oldest snapshots beyond the limit', () => {
+        const history = createHistory({ limit: 2 });
+        history.push('a');
+        history.push('b');
+        history.push('c');
+
+        expect(history.undo('d')).toBe('c');
+        expect(history.undo('c')).toBe('b');
+        expect(history.canUndo()).toBe(false);
+    });
+
+    test('should throw error for invalid limit', () => {
+        expect(() => createHistory({ limit: 0 })).toThrow('History limit must be a positive integer');
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for Parametric Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+    fitParametric,
+    formatParametricSpec,
+    generateParametric,
+    getDefaultParams
+} from '../src/parametric.js';
+import { createTimeAxis } from '../src/time-axis.js';
+
+describe('parametric distributions', () => {
+    const timeAxis = createTimeAxis();
+
+    // Cumulative probability at the start of a year
+    const cdfAt = (probabilities, year) => probabilities
+        .slice(0, (year - timeAxis.startYear) * timeAxis.binsPerYear)
+        .reduce((sum, p) => sum + p, 0);
+
+    test('should discretize each family into a distribution', () => {
+        ['lognormal', 'gamma', 'weibull'].forEach(family => {
+            const probabilities = generateParametric({ family, params: getDefaultParams(family) }, timeAxis);
+
+            expect(probabilities).toHaveLength(timeAxis.numPeriods);
+            expect(probabilities.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 10);
+            expect(probabilities.every(p => p >= 0)).toBe(true);
+        });
+    });
+
+    test('should match known CDF values', () => {
+        // Lognormal median is exp(mu) years after the start
+        const lognormal = generateParametric({ family: 'lognormal', params: { mu: Math.log(6), sigma: 0.5 } }, timeAxis);
+        expect(cdfAt(lognormal, 2032)).toBeCloseTo(0.5, 6);
+
+        // Gamma with shape 1 is exponential: P(T < 4) = 1 - exp(-4 / 2)
+        const gamma = generateParametric({ family: 'gamma', params: { shape: 1, scale: 2 } }, timeAxis);
+        expect(cdfAt(gamma, 2030)).toBeCloseTo(1 - Math.exp(-2), 6);
+
+        // Weibull at its scale: P(T < scale) = 1 - exp(-1)
+        const weibull = generateParametric({ family: 'weibull', params: { shape: 3, scale: 5 } }, timeAxis);
+        expect(cdfAt(weibull, 2031)).toBeCloseTo(1 - Math.exp(-1), 6);
+    });
+
+    test('should weight mixture components', () => {
+        const early = { family: 'weibull', params: { shape: 3, scale: 2 } };
+        const late = { family: 'weibull', params: { shape: 3, scale: 10 } };
+        const mixture = generateParametric({
+            family: 'mixture',
+            components: [{ ...early, weight: 3 }, { ...late, weight: 1 }]
+        }, timeAxis);
+        const earlyProbabilities = generateParametric(early, timeAxis);
+        const lateProbabilities = generateParametric(late, timeAxis);
+
+        mixture.forEach((p, i) => {
+            expect(p).toBeCloseTo(0.75 * earlyProbabilities[i] + 0.25 * lateProbabilities[i], 10);
+        });
+    });
+
+    test('should throw error for invalid specs', () => {
+        expect(() => generateParametric({ family: 'cauchy', params: {} }, timeAxis))
+            .toThrow('Unknown parametric family: cauchy');
+        expect(() => generateParametric({ family: 'gamma', params: { shape: -1, scale: 2 } }, timeAxis))
+            .toThrow('Invalid shape for Gamma: -1');
+        expect(() => generateParametric({ family: 'mixture', components: [] }, timeAxis))
+            .toThrow('Mixtures need at least one component');
+    });
+
+    test('should format specs as formulas', () => {
+        expect(formatParametricSpec({ family: 'lognormal', params: { mu: 1.8, sigma: 0.7 } }))
+            .toBe('Lognormal(μ = 1.80, σ = 0.70)');
+        expect(formatParametricSpec({
+            family: 'mixture',
+            components: [
+                { family: 'gamma', params: { shape: 3, scale: 2 }, weight: 1 },
+                { family: 'weibull', params: { shape: 2, scale: 8 }, weight: 3 }
+            ]
+        })).toBe('0.25 × Gamma(k = 3.00, θ = 2.00) + 0.75 × Weibull(k = 2.00, λ = 8.00)');
+    });
+
+    test('should recover the parameters of a generated distribution', () => {
+        const probabilities = generateParametric({ family: 'gamma', params: { shape: 4, scale: 1.5 } }, timeAxis);
+        const { best, fits } = fitParametric(probabilities, timeAxis);
+
+        expect(fits).toHaveLength(3);
+        expect(best.family).toBe('gamma');
+        expect(best.params.shape).toBeCloseTo(4, 1);
+        expect(best.params.scale).toBeCloseTo(1.5, 1);
+        expect(best.divergence).toBeLessThan(1e-4);
+    });
+
+    test('should restrict fitting to the requested families', () => {
+        const probabilities = generateParametric({ family: 'lognormal', params: { mu: 2, sigma: 0.6 } }, timeAxis);
+        const { best, fits } = fitParametric(probabilities, timeAxis, { families: ['weibull'] });
+
+        expect(fits).toHaveLength(1);
+        expect(best.family).toBe('weibull');
+        expect(best.divergence).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for Quantile Fit Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import { fitQuantiles, parseQuantileText } from '../src/quantile-fit.js';
+import { createTimeAxis } from '../src/time-axis.js';
+
+describe('quantile fit', () => {
+    const timeAxis = createTimeAxis();
+
+    // Cumulative probability at the start of a year
+    const cdfAt = (probabilities, year) => probabilities
+        .slice(0, (year - timeAxis.startYear) * timeAxis.binsPerYear)
+        .reduce((sum, p) => sum + p, 0);
+
+    test('should parse elicited quantiles', () => {
+        expect(parseQuantileText('10% by 2028, 50% @ 2032.5; 90% 2039')).toEqual([
+            { probability: 0.1, year: 2028 },
+            { probability: 0.5, year: 2032.5 },
+            { probability: 0.9, year: 2039 }
+        ]);
+    });
+
+    test('should throw error for unparseable quantiles', () => {
+        expect(() => parseQuantileText('half by 2030')).toThrow('Invalid quantile: half by 2030');
+        expect(() => parseQuantileText(' ')).toThrow('Enter at least one quantile');
+    });
+
+    test('should match the elicited quantiles', () => {
+        const probabilities = fitQuantiles([
+            { probability: 0.1, year: 2028 },
+            { probability: 0.5, year: 2032 },
+            { probability: 0.9, year: 2039 }
+        ], timeAxis);
+
+        expect(probabilities).toHaveLength(timeAxis.numPeriods);
+        expect(probabilities.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 10);
+        expect(probabilities.every(p => p >= 0)).toBe(true);
+        expect(cdfAt(probabilities, 2028)).toBeCloseTo(0.1, 10);
+        expect(cdfAt(probabilities, 2032)).toBeCloseTo(0.5, 10);
+        expect(cdfAt(probabilities, 2039)).toBeCloseTo(0.9, 10);
+    });
+
+    test('should leave the remaining probability in the tail bin', () => {
+        const probabilities = fitQuantiles([{ probability: 0.5, year: 2050 }], timeAxis);
+
+        expect(probabilities[timeAxis.numPeriods - 1]).toBeGreaterThan(0.5);
+    });
+
+    test('should throw error for quantiles that are not increasing', () => {
+        expect(() => fitQuantiles([
+            { probability: 0.5, year: 2030 },
+            { probability: 0.4, year: 2032 }
+        ], timeAxis)).toThrow('Later quantiles must have higher probabilities');
+    });
+
+    test('should throw error for quantiles outside the time axis', () => {
+        expect(() => fitQuantiles([{ probability: 0.5, year: 2020 }], timeAxis)).toThrow('Quantile years must be after 2026');
+        expect(() => fitQuantiles([{ probability: 1, year: 2030 }], timeAxis)).toThrow('Quantile probabilities must be between 0% and 100%');
+    });
+});
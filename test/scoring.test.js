@@ -0,0 +1,94 @@
+/**
+ * Tests for Scoring Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+    calculateJSDivergence,
+    calculateHellingerDistance,
+    calculateTotalVariation,
+    calculateWassersteinDistance,
+    calculateCRPS,
+    scoreDistributions,
+    SCORING_RULES
+} from '../src/scoring.js';
+
+describe('scoring rules', () => {
+    test('should return 0 for identical distributions', () => {
+        const prediction = [0.1, 0.6, 0.3];
+        const groundTruth = [0.1, 0.6, 0.3];
+
+        expect(calculateJSDivergence(prediction, groundTruth)).toBeCloseTo(0, 10);
+        expect(calculateHellingerDistance(prediction, groundTruth)).toBeCloseTo(0, 5);
+        expect(calculateTotalVariation(prediction, groundTruth)).toBeCloseTo(0, 10);
+        expect(calculateWassersteinDistance(prediction, groundTruth)).toBeCloseTo(0, 10);
+    });
+
+    test('should stay finite where KL divergence is infinite', () => {
+        const prediction = [0, 0, 1];
+        const groundTruth = [1, 0, 0];
+
+        expect(calculateJSDivergence(prediction, groundTruth)).toBeCloseTo(Math.log(2), 10);
+        expect(calculateHellingerDistance(prediction, groundTruth)).toBeCloseTo(1, 10);
+        expect(calculateTotalVariation(prediction, groundTruth)).toBeCloseTo(1, 10);
+    });
+
+    test('should grow Wasserstein distance with the distance between peaks', () => {
+        const groundTruth = [1, 0, 0, 0, 0];
+        const near = [0, 1, 0, 0, 0];
+        const far = [0, 0, 0, 0, 1];
+
+        expect(calculateWassersteinDistance(near, groundTruth)).toBeCloseTo(1, 10);
+        expect(calculateWassersteinDistance(far, groundTruth)).toBeCloseTo(4, 10);
+        expect(calculateWassersteinDistance(far, groundTruth, 0.25)).toBeCloseTo(1, 10);
+    });
+
+    test('should score a matching point mass with zero CRPS', () => {
+        const groundTruth = [0, 1, 0];
+
+        expect(calculateCRPS([0, 1, 0], groundTruth)).toBeCloseTo(0, 10);
+        expect(calculateCRPS([0.5, 0, 0.5], groundTruth)).toBeCloseTo(0.5, 10);
+        expect(calculateCRPS([0, 0, 1], groundTruth)).toBeGreaterThan(calculateCRPS([0, 0.5, 0.5], groundTruth));
+    });
+
+    test('should normalize inputs before scoring', () => {
+        expect(calculateTotalVariation([2, 2], [0.5, 0.5])).toBeCloseTo(0, 10);
+    });
+
+    test('should report ordered rules in years', () => {
+        const prediction = [0, 0, 0, 0, 1];
+        const groundTruth = [1, 0, 0, 0, 0];
+
+        expect(scoreDistributions('wasserstein', prediction, groundTruth, { binsPerYear: 4 })).toBeCloseTo(1, 10);
+        expect(SCORING_RULES.wasserstein.unit).toBe('years');
+    });
+
+    test('should apply asymmetric rules in the requested direction', () => {
+        const prediction = [0.5, 0.5];
+        const groundTruth = [0.9, 0.1];
+
+        const forward = scoreDistributions('kl', prediction, groundTruth);
+        const reverse = scoreDistributions('kl', prediction, groundTruth, { direction: 'reverse' });
+        const symmetric = scoreDistributions('kl', prediction, groundTruth, { direction: 'symmetric' });
+
+        expect(reverse).toBeCloseTo(scoreDistributions('kl', groundTruth, prediction), 10);
+        expect(forward).not.toBeCloseTo(reverse, 5);
+        expect(symmetric).toBeCloseTo((forward + reverse) / 2, 10);
+    });
+
+    test('should report informational rules in bits', () => {
+        const prediction = [0, 1];
+        const groundTruth = [1, 0];
+
+        expect(scoreDistributions('js', prediction, groundTruth, { units: 'bits' })).toBeCloseTo(1, 10);
+        expect(scoreDistributions('tv', prediction, groundTruth, { units: 'bits' })).toBeCloseTo(1, 10);
+    });
+
+    test('should throw error for different length distributions', () => {
+        expect(() => calculateHellingerDistance([1, 0], [1, 0, 0])).toThrow('Distributions must have the same shape');
+    });
+
+    test('should throw error for unknown rules', () => {
+        expect(() => scoreDistributions('brier', [1], [1])).toThrow('Unknown scoring rule: brier');
+    });
+});
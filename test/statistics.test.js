@@ -0,0 +1,105 @@
+/**
+ * Tests for Statistics Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+    calculateSummaryStatistics,
+    cumulativeToMass,
+    findQuantileIndex,
+    setCumulativePoint,
+    toCumulative,
+    yearToPeriodIndex
+} from '../src/statistics.js';
+import { createTimeAxis } from '../src/time-axis.js';
+
+describe('summary statistics', () => {
+    const timeAxis = createTimeAxis({ startYear: 2026, endYear: 2030, binsPerYear: 1 });
+
+    test('should find quantile bins of unnormalized values', () => {
+        const values = [1, 1, 1, 1, 0];
+
+        expect(findQuantileIndex(values, 0.25)).toBe(0);
+        expect(findQuantileIndex(values, 0.5)).toBe(1);
+        expect(findQuantileIndex(values, 0.9)).toBe(3);
+    });
+
+    test('should report median, mode and intervals as bin indices', () => {
+        const values = [0.1, 0.2, 0.4, 0.2, 0.1];
+
+        const statistics = calculateSummaryStatistics(values, timeAxis, { intervals: [0.8] });
+        expect(statistics.median).toBe(2);
+        expect(statistics.mode).toBe(2);
+        expect(statistics.intervals).toEqual([{ level: 0.8, lower: 0, upper: 3 }]);
+    });
+
+    test('should take the expected arrival over the bins before the tail', () => {
+        const values = [0.25, 0, 0, 0.25, 0.5];
+
+        const statistics = calculateSummaryStatistics(values, timeAxis);
+        expect(statistics.mean.year).toBeCloseTo(2028, 10);
+        expect(statistics.mean.tailProbability).toBeCloseTo(0.5, 10);
+    });
+
+    test('should leave the expected arrival empty when all mass is in the tail', () => {
+        const statistics = calculateSummaryStatistics([0, 0, 0, 0, 1], timeAxis);
+
+        expect(statistics.mean.year).toBeNull();
+        expect(statistics.median).toBe(4);
+    });
+
+    test('should map decimal years to bins', () => {
+        const quarterly = createTimeAxis();
+
+        expect(yearToPeriodIndex(2031.3, quarterly)).toBe(21);
+        expect(yearToPeriodIndex(2050, quarterly)).toBe(56);
+    });
+
+    test('should throw error for values that do not match the time axis', () => {
+        expect(() => calculateSummaryStatistics([1, 1], timeAxis)).toThrow('Distribution must have one value per time axis bin');
+    });
+
+    test('should throw error for invalid interval levels', () => {
+        expect(() => calculateSummaryStatistics([1, 1, 1, 1, 1], timeAxis, { intervals: [80] })).toThrow('Interval levels must be between 0 and 1');
+    });
+});
+
+describe('cumulative editing', () => {
+    function expectValues(actual, expected) {
+        expect(actual).toHaveLength(expected.length);
+        actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 10));
+    }
+
+    test('should turn values into a normalized CDF', () => {
+        expectValues(toCumulative([1, 2, 1]), [0.25, 0.75, 1]);
+        expect(toCumulative([0, 0])).toEqual([0, 0]);
+    });
+
+    test('should keep the CDF monotone around a new point', () => {
+        const cdf = [0.1, 0.3, 0.5, 0.7, 1];
+
+        expectValues(setCumulativePoint(cdf, 2, 0.2), [0.1, 0.2, 0.2, 0.7, 1]);
+        expectValues(setCumulativePoint(cdf, 1, 0.8), [0.1, 0.8, 0.8, 0.8, 1]);
+        expectValues(cdf, [0.1, 0.3, 0.5, 0.7, 1]);
+    });
+
+    test('should keep the tail bin at 1', () => {
+        const cdf = [0.1, 0.3, 0.5, 0.7, 1];
+
+        expectValues(setCumulativePoint(cdf, 4, 0.5), cdf);
+        expectValues(setCumulativePoint(cdf, 3, 0), [0, 0, 0, 0, 1]);
+    });
+
+    test('should turn a CDF back into masses without losing probability', () => {
+        const values = [0.1, 0.2, 0.4, 0.2, 0.1];
+        const masses = cumulativeToMass(toCumulative(values));
+
+        expectValues(masses, [0.25, 0.5, 1, 0.5, 0.25]);
+        expectValues(cumulativeToMass(toCumulative(values), 0.4), values);
+
+        const edited = cumulativeToMass(setCumulativePoint(toCumulative(values), 1, 0.5));
+        expectValues(toCumulative(edited), [0.1, 0.5, 0.7, 0.9, 1]);
+        expect(edited.every(value => value >= 0)).toBe(true);
+        expect(Math.max(...edited)).toBeCloseTo(1, 10);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for Storage Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createForecastStore, createMemoryAdapter } from '../src/storage.js';
+
+describe('forecast store', () => {
+    function createStore(adapter = createMemoryAdapter()) {
+        let time = 1000;
+        return createForecastStore({ adapter, now: () => time++ });
+    }
+
+    test('should keep only the latest autosave', () => {
+        const store = createStore();
+        expect(store.getAutosave()).toBeNull();
+
+        store.autosave('v=2&d=blue:AAAA');
+        store.autosave('v=2&d=blue:BAAA');
+        expect(store.getAutosave()).toEqual({ fragment: 'v=2&d=blue:BAAA', savedAt: 1001 });
+
+        store.clearAutosave();
+        expect(store.getAutosave()).toBeNull();
+    });
+
+    test('should save, list, rename, load and delete forecasts', () => {
+        const store = createStore();
+        const first = store.save(' Optimistic ', 'v=2&d=blue:AAAA');
+        const second = store.save('Pessimistic', 'v=2&d=blue:BAAA');
+
+        expect(first).toEqual({ id: '1', name: 'Optimistic', fragment: 'v=2&d=blue:AAAA', createdAt: 1000, updatedAt: 1000 });
+        expect(store.list().map(forecast => forecast.id)).toEqual(['2', '1']);
+
+        store.rename('1', 'Optimistic, revised');
+        expect(store.list().map(forecast => forecast.name)).toEqual(['Optimistic, revised', 'Pessimistic']);
+        expect(store.load('1').createdAt).toBe(1000);
+        expect(store.load('1').updatedAt).toBe(1002);
+
+        store.delete(second.id);
+        expect(store.list()).toHaveLength(1);
+        expect(store.save('Third', 'v=2&d=blue:CAAA').id).toBe('3');
+    });
+
+    test('should not reuse ids, even for lists saved without a counter', () => {
+        const adapter = createMemoryAdapter();
+        adapter.setItem('ai-2027-widgets:forecasts', JSON.stringify([
+            { id: '4', name: 'Old', fragment: 'v=2&d=blue:AAAA', createdAt: 1, updatedAt: 1 }
+        ]));
+        const store = createStore(adapter);
+
+        expect(store.save('New', 'v=2&d=blue:BAAA').id).toBe('5');
+        store.delete('5');
+        expect(createStore(adapter).save('Newer', 'v=2&d=blue:CAAA').id).toBe('6');
+    });
+
+    test('should share forecasts between stores on the same adapter and key', () => {
+        const adapter = createMemoryAdapter();
+        createStore(adapter).save('Shared', 'v=2&d=blue:AAAA');
+
+        expect(createStore(adapter).list().map(forecast => forecast.name)).toEqual(['Shared']);
+        expect(createForecastStore({ adapter, key: 'other' }).list()).toEqual([]);
+    });
+
+    test('should treat corrupt items as empty', () => {
+        const adapter = createMemoryAdapter();
+        adapter.setItem('ai-2027-widgets:forecasts', '{');
+        adapter.setItem('ai-2027-widgets:autosave', 'null');
+        const store = createStore(adapter);
+
+        expect(store.list()).toEqual([]);
+        expect(store.getAutosave()).toBeNull();
+    });
+
+    test('should throw error for invalid names and unknown ids', () => {
+        const store = createStore();
+
+        expect(() => store.save('  ', 'v=2&d=blue:AAAA')).toThrow('Forecast name is required');
+        expect(() => store.load('7')).toThrow('Unknown forecast: 7');
+        expect(() => store.rename('7', 'Name')).toThrow('Unknown forecast: 7');
+        expect(() => store.delete('7')).toThrow('Unknown forecast: 7');
+    });
+});
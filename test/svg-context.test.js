@@ -0,0 +1,75 @@
+/**
+ * Tests for SVG Context Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createSvgContext } from '../src/svg-context.js';
+
+describe('SVG context', () => {
+    test('should produce an SVG document of the given size', () => {
+        const svg = createSvgContext(300, 200).toSvg();
+
+        expect(svg).toBe('<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200" viewBox="0 0 300 200"></svg>');
+    });
+
+    test('should record filled rectangles and stroked paths', () => {
+        const ctx = createSvgContext(100, 100);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, 100, 100);
+        ctx.strokeStyle = 'rgba(0, 123, 255, 0.5)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(10, 20);
+        ctx.lineTo(30.456, 40);
+        ctx.stroke();
+
+        const svg = ctx.toSvg();
+        expect(svg).toContain('<rect x="0" y="0" width="100" height="100" fill="#f8f9fa"/>');
+        expect(svg).toContain('<path d="M10 20 L30.46 40" fill="none" stroke="rgb(0, 123, 255)" '
+            + 'stroke-opacity="0.5" stroke-width="2" stroke-dasharray="3 3"/>');
+    });
+
+    test('should restore state saved before a clip, transform or style change', () => {
+        const ctx = createSvgContext(100, 100);
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(10, 10, 50, 50);
+        ctx.clip();
+        ctx.translate(20, 30);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillStyle = 'red';
+        ctx.fillText('Year <label>', 0, 0);
+        ctx.restore();
+        ctx.fillText('after', 5, 5);
+
+        const svg = ctx.toSvg();
+        expect(svg).toContain('<clipPath id="clip1"><path d="M10 10 h50 v50 h-50 Z"/></clipPath>');
+        expect(svg).toContain('transform="matrix(0 -1 1 0 20 30)" clip-path="url(#clip1)">Year &lt;label&gt;</text>');
+        expect(svg).toContain('fill="#000000">after</text>');
+    });
+
+    test('should emit gradients as definitions', () => {
+        const ctx = createSvgContext(100, 100);
+        const gradient = ctx.createLinearGradient(0, 0, 0, 100);
+        gradient.addColorStop(0, 'rgba(40, 167, 69, 0.3)');
+        gradient.addColorStop(1, '#28a745');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(50, 50, 5, 0, 2 * Math.PI);
+        ctx.fill();
+
+        const svg = ctx.toSvg();
+        expect(svg).toContain('<linearGradient id="gradient1" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="0" y2="100">'
+            + '<stop offset="0" stop-color="rgb(40, 167, 69)" stop-opacity="0.3"/>'
+            + '<stop offset="1" stop-color="#28a745"/></linearGradient>');
+        expect(svg).toContain('<path d="M55 50 A5 5 0 1 1 45 50 A5 5 0 1 1 55 50" fill="url(#gradient1)"/>');
+    });
+
+    test('should measure text with the given function or an estimate', () => {
+        expect(createSvgContext(10, 10).measureText('abcd').width).toBeCloseTo(24);
+        const ctx = createSvgContext(10, 10, { measureText: (text, font) => (font === '12px serif' ? 7 : 0) });
+        ctx.font = '12px serif';
+        expect(ctx.measureText('abc').width).toBe(7);
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for Time Axis Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createTimeAxis } from '../src/time-axis.js';
+
+describe('time axis', () => {
+    test('should default to quarterly bins from 2026 with a tail bin at 2040', () => {
+        const timeAxis = createTimeAxis();
+
+        expect(timeAxis.numPeriods).toBe(57);
+        expect(timeAxis.periodUnit).toBe('Quarters');
+        expect(timeAxis.tailLabel).toEqual(['>2039', 'or AGI never']);
+    });
+
+    test('should follow custom years and bin granularity', () => {
+        const monthly = createTimeAxis({ startYear: 2025, endYear: 2030, binsPerYear: 12 });
+        const yearly = createTimeAxis({ startYear: 2025, endYear: 2050, binsPerYear: 1 });
+
+        expect(monthly.numPeriods).toBe(61);
+        expect(monthly.periodUnit).toBe('Months');
+        expect(yearly.numPeriods).toBe(26);
+        expect(yearly.tailLabel).toEqual(['>2049', 'or AGI never']);
+    });
+
+    test('should format period labels', () => {
+        const timeAxis = createTimeAxis({ tailLabel: '2040+\nor never' });
+
+        expect(timeAxis.formatPeriod(0)).toBe('2026 Q1');
+        expect(timeAxis.formatPeriod(21)).toBe('2031 Q2');
+        expect(timeAxis.formatPeriod(56)).toBe('2040+ or never');
+        expect(timeAxis.isTailPeriod(56)).toBe(true);
+    });
+
+    test('should omit sub-period names for yearly bins', () => {
+        const timeAxis = createTimeAxis({ binsPerYear: 1 });
+
+        expect(timeAxis.getSubPeriodLabel(3)).toBe('');
+        expect(timeAxis.formatPeriod(3)).toBe('2029');
+    });
+
+    test('should throw error for an empty horizon', () => {
+        expect(() => createTimeAxis({ startYear: 2030, endYear: 2030 })).toThrow('endYear must be after startYear');
+    });
+
+    test('should throw error for invalid bin granularity', () => {
+        expect(() => createTimeAxis({ binsPerYear: 0 })).toThrow('binsPerYear must be a positive integer');
+    });
+});
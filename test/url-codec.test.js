@@ -0,0 +1,111 @@
+/**
+ * Tests for URL Codec Module
+ */
+
+import { describe, test, expect } from 'vitest';
+import {
+    decodePinnedBins, decodeUrlState, encodePinnedBins, encodeUrlState, extractUrlState, mergeUrlState
+} from '../src/url-codec.js';
+
+describe('URL state codec', () => {
+    const config = { seriesIds: ['blue', 'red', 'green'], numPeriods: 4 };
+    const state = {
+        distributions: [
+            { id: 'blue', values: [0.123456, 0.5, 0.5, 1] },
+            { id: 'red', values: [0, 0.25, 0.00001, 0.75] },
+            { id: 'green', values: [0.2, 0.2, 0.2, 0.2] }
+        ],
+        activeId: 'red',
+        visibility: [true, true, false],
+        pinnedBins: { red: new Set([0, 1, 3]) }
+    };
+
+    test('should round-trip version 2 state at 1/100000 precision', () => {
+        const fragment = encodeUrlState(state);
+        const decoded = decodeUrlState(fragment, config);
+
+        expect(fragment.startsWith('v=2&d=')).toBe(true);
+        expect(decoded.version).toBe(2);
+        expect(decoded.values.blue).toEqual([0.12346, 0.5, 0.5, 1]);
+        expect(decoded.values.red).toEqual([0, 0.25, 0.00001, 0.75]);
+        expect(decoded.activeId).toBe('red');
+        expect(decoded.visibility).toEqual({ blue: true, red: true, green: false });
+        expect(decoded.pinnedBins).toEqual({ red: new Set([0, 1, 3]) });
+        expect(decoded.warnings).toEqual([]);
+    });
+
+    test('should write one character per bin for flat stretches', () => {
+        const fragment = encodeUrlState({ distributions: [state.distributions[2]] });
+
+        // First bin: 20000 (zigzag 40000) in four characters, then three zero deltas
+        expect(fragment).toBe('v=2&d=green:ginBAAA');
+    });
+
+    test('should decode version 1 links', () => {
+        // 0.001, 0.5, 1 and 0 in fixed-width base36 thousandths
+        const decoded = decodeUrlState('#d=blue:01DWRS00&p=blue:0-1', {
+            seriesIds: ['blue', 'red'],
+            numPeriods: 4,
+            floor: 0.000001
+        });
+
+        expect(decoded.version).toBe(1);
+        expect(decoded.values).toEqual({ blue: [0.001, 0.5, 1, 0.000001] });
+        expect(decoded.activeId).toBeNull();
+        expect(decoded.visibility).toBeNull();
+        expect(decoded.pinnedBins).toEqual({ blue: new Set([0, 1]) });
+        expect(decoded.warnings).toEqual(['Missing series: red']);
+    });
+
+    test('should return null for fragments without distributions', () => {
+        expect(decodeUrlState('', config)).toBeNull();
+        expect(decodeUrlState('other=1', config)).toBeNull();
+    });
+
+    test('should throw error for invalid distributions', () => {
+        expect(() => decodeUrlState('d=purple:00000000', config)).toThrow('Invalid distribution id: purple');
+        expect(() => decodeUrlState('d=blue:0000', config)).toThrow('Invalid number of values for blue');
+        expect(() => decodeUrlState('d=blue:000', config)).toThrow('Values must be two characters each');
+        expect(() => decodeUrlState('v=2&d=blue:gj', config)).toThrow('Values end in the middle of a number');
+        expect(() => decodeUrlState('v=2&d=blue:BAAA', config)).toThrow('Values must not be negative');
+        const tooLarge = encodeUrlState({ distributions: [{ id: 'blue', values: [3, 3, 3, 3] }] });
+        expect(() => decodeUrlState(tooLarge, config)).toThrow('Invalid value: 3 (values must be from 0 to 1)');
+        expect(() => decodeUrlState(`v=2&d=blue:${'g'.repeat(300)}BA`, config)).toThrow('Value longer than 4 characters');
+        expect(() => decodeUrlState('v=3&d=blue:AAAA', config)).toThrow('Unsupported URL state version: 3');
+    });
+
+    test('should skip an invalid active series, visibility flags and pinned bins with warnings', () => {
+        const decoded = decodeUrlState('v=2&d=blue:AAAA,red:AAAA,green:AAAA&a=purple&s=1x0&p=red:2-9', config);
+
+        expect(decoded.activeId).toBeNull();
+        expect(decoded.visibility).toBeNull();
+        expect(decoded.pinnedBins).toEqual({});
+        expect(decoded.warnings).toHaveLength(3);
+    });
+
+    test('should keep namespaced states apart', () => {
+        const first = encodeUrlState({ distributions: [state.distributions[0]] }, 'm1');
+        const second = encodeUrlState({ distributions: [state.distributions[1]] }, 'm2');
+        const fragment = mergeUrlState(mergeUrlState('#tab=2&d=blue:AAAA', first, 'm1'), second, 'm2');
+
+        expect(first.startsWith('m1.v=2&m1.d=blue:')).toBe(true);
+        expect(decodeUrlState(fragment, { ...config, namespace: 'm1' }).values).toEqual({ blue: [0.12346, 0.5, 0.5, 1] });
+        expect(decodeUrlState(fragment, { ...config, namespace: 'm2' }).values).toEqual({ red: [0, 0.25, 0.00001, 0.75] });
+        expect(decodeUrlState(fragment, { ...config, namespace: 'm3' })).toBeNull();
+        expect(extractUrlState(fragment, 'm2')).toBe(second);
+    });
+
+    test('should replace only its own keys when merging', () => {
+        const encoded = encodeUrlState({ distributions: [state.distributions[2]] });
+        const merged = mergeUrlState('#tab=2&d=blue:AAAA&p=blue:0&m1.d=red:AAAA', encoded);
+
+        expect(merged).toBe(`tab=2&m1.d=red:AAAA&${encoded}`);
+        expect(extractUrlState(merged)).toBe(encoded);
+    });
+
+    test('should encode pinned bins as ranges', () => {
+        expect(encodePinnedBins(new Set([10, 0, 1, 2, 3]))).toBe('0-3.10');
+        expect(decodePinnedBins('0-3.10', 11)).toEqual(new Set([0, 1, 2, 3, 10]));
+        expect(decodePinnedBins('0-3.10', 10)).toBeNull();
+    });
+});